@@ -0,0 +1,31 @@
+const { assessAddress } = require('../shared/addressQuality');
+
+// Anonymous so the portal claim wizard can check a location as it is typed; it only runs the
+// local normaliser and never calls a geocoding provider, so there is no key or quota to protect.
+const MAX_ADDRESS_LENGTH = 500;
+
+module.exports = async function (context, req) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    };
+
+    if (req.method === 'OPTIONS') {
+        context.res = { status: 204, headers, body: '' };
+        return;
+    }
+
+    const address = req.body && req.body.address;
+    if (typeof address !== 'string') {
+        context.res = { status: 400, headers, body: { success: false, error: 'address must be a string' } };
+        return;
+    }
+    if (address.length > MAX_ADDRESS_LENGTH) {
+        context.res = { status: 400, headers, body: { success: false, error: `address must be at most ${MAX_ADDRESS_LENGTH} characters` } };
+        return;
+    }
+
+    context.res = { status: 200, headers, body: { success: true, ...assessAddress(address) } };
+};
@@ -0,0 +1,35 @@
+const addressQuality = require('./index');
+
+describe('AddressQuality Azure Function', () => {
+    let context;
+
+    beforeEach(() => {
+        context = { log: jest.fn(), res: null };
+    });
+
+    test('returns the normalised address with its assessment', async () => {
+        await addressQuality(context, { body: { address: 'hwy 1' } });
+
+        expect(context.res.status).toBe(200);
+        expect(context.res.body).toMatchObject({ success: true, original: 'hwy 1', normalized: 'Highway 1', level: 'Poor', warn: true });
+        expect(context.res.body.suggestions).toContain('Add the suburb or town and the postcode');
+    });
+
+    test('answers CORS preflight', async () => {
+        await addressQuality(context, { method: 'OPTIONS' });
+
+        expect(context.res.status).toBe(204);
+        expect(context.res.headers['Access-Control-Allow-Origin']).toBe('*');
+    });
+
+    test.each([
+        [{}, 'address must be a string'],
+        [{ address: 42 }, 'address must be a string'],
+        [{ address: 'x'.repeat(501) }, 'address must be at most 500 characters']
+    ])('returns 400 for body %#', async (body, error) => {
+        await addressQuality(context, { body });
+
+        expect(context.res.status).toBe(400);
+        expect(context.res.body.error).toBe(error);
+    });
+});
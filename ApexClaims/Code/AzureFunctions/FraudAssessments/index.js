@@ -0,0 +1,38 @@
+const { v4: uuidv4 } = require('uuid');
+const { getAssessmentStore } = require('../FraudDetection/assessmentStore');
+
+// Read side of the fraud assessment audit trail written by FraudDetection.
+// GET fraud/assessments/{assessmentId} returns one assessment; GET fraud/assessments?claimId=... lists a claim's history.
+
+function jsonResponse(status, body) {
+    return { status, headers: { 'Content-Type': 'application/json' }, body };
+}
+
+module.exports = async function (context, req) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const assessmentId = req.params && req.params.assessmentId;
+    const claimId = req.query && req.query.claimId;
+
+    if (!assessmentId && !claimId) {
+        context.res = jsonResponse(400, { error: 'assessmentId or claimId is required', correlationId });
+        return;
+    }
+
+    try {
+        const store = getAssessmentStore();
+
+        if (assessmentId) {
+            const assessment = await store.getById(assessmentId);
+            context.res = assessment
+                ? jsonResponse(200, assessment)
+                : jsonResponse(404, { error: 'Assessment not found', assessmentId, correlationId });
+            return;
+        }
+
+        const assessments = await store.listByClaimId(claimId);
+        context.res = jsonResponse(200, { claimId, count: assessments.length, assessments, correlationId });
+    } catch (error) {
+        context.log.error(`Assessment lookup failed: ${error.message}`);
+        context.res = jsonResponse(500, { error: 'Assessment store unavailable', correlationId });
+    }
+};
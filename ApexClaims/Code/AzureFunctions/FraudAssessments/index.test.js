@@ -0,0 +1,79 @@
+const fraudAssessments = require('./index');
+const fraudDetection = require('../FraudDetection/index');
+const { createInMemoryAssessmentStore, setAssessmentStore } = require('../FraudDetection/assessmentStore');
+
+describe('FraudAssessments Azure Function', () => {
+    let context;
+
+    const claim = {
+        claimId: 'claim-audit-1',
+        policyId: 'policy-001',
+        claimType: 'Auto',
+        amount: 25000,
+        location: '123 Main Street, Sydney NSW 2000',
+        incidentDate: new Date().toISOString(),
+        description: 'Minor fender bender in parking lot. No injuries reported. Police report filed.'
+    };
+
+    async function score(body) {
+        const scoringContext = { log: jest.fn(), res: null };
+        await fraudDetection(scoringContext, { headers: { 'x-correlation-id': 'corr-1' }, body });
+        return scoringContext.res.body;
+    }
+
+    beforeEach(() => {
+        context = { log: jest.fn(), res: null };
+        context.log.error = jest.fn();
+        setAssessmentStore(createInMemoryAssessmentStore());
+    });
+
+    test('returns a persisted assessment by id with its input snapshot', async () => {
+        const scored = await score(claim);
+
+        await fraudAssessments(context, { headers: {}, params: { assessmentId: scored.assessmentId }, query: {} });
+
+        expect(context.res.status).toBe(200);
+        expect(context.res.body).toMatchObject({
+            assessmentId: scored.assessmentId,
+            claimId: 'claim-audit-1',
+            riskScore: scored.riskScore,
+            riskFactors: scored.riskFactors,
+            ruleSetVersion: scored.ruleSetVersion,
+            correlationId: 'corr-1',
+            input: claim
+        });
+    });
+
+    test('lists assessments for a claim', async () => {
+        await score(claim);
+        await score({ ...claim, amount: 60000 });
+        await score({ ...claim, claimId: 'claim-other' });
+
+        await fraudAssessments(context, { headers: {}, params: {}, query: { claimId: 'claim-audit-1' } });
+
+        expect(context.res.status).toBe(200);
+        expect(context.res.body.count).toBe(2);
+        expect(context.res.body.assessments.every(assessment => assessment.claimId === 'claim-audit-1')).toBe(true);
+    });
+
+    test('returns 404 for an unknown assessment', async () => {
+        await fraudAssessments(context, { headers: {}, params: { assessmentId: 'nope' }, query: {} });
+
+        expect(context.res.status).toBe(404);
+    });
+
+    test('returns 400 without an id or claimId', async () => {
+        await fraudAssessments(context, { headers: {}, params: {}, query: {} });
+
+        expect(context.res.status).toBe(400);
+    });
+
+    test('returns 500 when the store fails', async () => {
+        setAssessmentStore({ getById: jest.fn().mockRejectedValue(new Error('disk full')) });
+
+        await fraudAssessments(context, { headers: {}, params: { assessmentId: 'a-1' }, query: {} });
+
+        expect(context.res.status).toBe(500);
+        expect(context.log.error).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Persisted fraud assessments for audit. A store is any object with async save, getById and
+// listByClaimId. FRAUD_ASSESSMENT_STORE selects 'memory' (default) or 'file'; the file backend
+// writes one JSON document per assessment into a directory per claim under
+// FRAUD_ASSESSMENT_STORE_PATH, so listing a claim only reads that claim's files.
+
+const DEFAULT_FILE_STORE_PATH = path.join(os.tmpdir(), 'apex-fraud-assessments');
+const SAFE_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+const MAX_STORED_ASSESSMENTS = 10000;
+
+function byTimestampDesc(a, b) {
+    return String(b.timestamp).localeCompare(String(a.timestamp));
+}
+
+// Insertion-ordered Map doubles as a FIFO so the oldest assessments age out first
+function createInMemoryAssessmentStore(maxEntries) {
+    const limit = maxEntries || MAX_STORED_ASSESSMENTS;
+    const assessments = new Map();
+    const idsByClaim = new Map();
+
+    function remove(assessmentId) {
+        const existing = assessments.get(assessmentId);
+        if (!existing) return;
+        assessments.delete(assessmentId);
+        const ids = idsByClaim.get(existing.claimId);
+        ids.delete(assessmentId);
+        if (ids.size === 0) idsByClaim.delete(existing.claimId);
+    }
+
+    return {
+        async save(assessment) {
+            remove(assessment.assessmentId);
+            assessments.set(assessment.assessmentId, assessment);
+            if (!idsByClaim.has(assessment.claimId)) idsByClaim.set(assessment.claimId, new Set());
+            idsByClaim.get(assessment.claimId).add(assessment.assessmentId);
+            if (assessments.size > limit) remove(assessments.keys().next().value);
+        },
+        async getById(assessmentId) {
+            return assessments.get(assessmentId) || null;
+        },
+        async listByClaimId(claimId) {
+            return [...(idsByClaim.get(claimId) || [])].map(assessmentId => assessments.get(assessmentId)).sort(byTimestampDesc);
+        },
+        size() {
+            return assessments.size;
+        }
+    };
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Layout: claims/<hash of claimId>/<assessmentId>.json holds the assessment and ids/<assessmentId>.json
+// names its claim directory, so both lookups read a known path. Claim ids are hashed because they
+// come from the caller and may contain anything.
+function createFileAssessmentStore(directory) {
+    const root = directory || DEFAULT_FILE_STORE_PATH;
+    const claimDirectory = claimId => path.join(root, 'claims', crypto.createHash('sha256').update(String(claimId)).digest('hex'));
+    const pointerFor = assessmentId => path.join(root, 'ids', `${assessmentId}.json`);
+
+    return {
+        async save(assessment) {
+            if (!SAFE_ID_PATTERN.test(assessment.assessmentId)) throw new Error('Invalid assessment id');
+            const claimDir = claimDirectory(assessment.claimId);
+            await fs.promises.mkdir(claimDir, { recursive: true });
+            await fs.promises.mkdir(path.dirname(pointerFor(assessment.assessmentId)), { recursive: true });
+            await fs.promises.writeFile(path.join(claimDir, `${assessment.assessmentId}.json`), JSON.stringify(assessment), 'utf8');
+            await fs.promises.writeFile(pointerFor(assessment.assessmentId), JSON.stringify({ claimDirectory: path.basename(claimDir) }), 'utf8');
+        },
+        async getById(assessmentId) {
+            if (!SAFE_ID_PATTERN.test(assessmentId)) return null;
+            const pointer = await readJson(pointerFor(assessmentId));
+            if (!pointer) return null;
+            return readJson(path.join(root, 'claims', path.basename(pointer.claimDirectory), `${assessmentId}.json`));
+        },
+        async listByClaimId(claimId) {
+            const claimDir = claimDirectory(claimId);
+            let files;
+            try {
+                files = await fs.promises.readdir(claimDir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            const assessments = await Promise.all(files
+                .filter(file => file.endsWith('.json'))
+                .map(file => readJson(path.join(claimDir, file))));
+            return assessments.filter(Boolean).sort(byTimestampDesc);
+        }
+    };
+}
+
+function createAssessmentStore(env) {
+    const settings = env || process.env;
+    const backend = (settings.FRAUD_ASSESSMENT_STORE || 'memory').toLowerCase();
+    if (backend === 'file') return createFileAssessmentStore(settings.FRAUD_ASSESSMENT_STORE_PATH);
+    if (backend === 'memory') return createInMemoryAssessmentStore();
+    throw new Error(`Unknown assessment store: ${backend}`);
+}
+
+let activeStore = null;
+
+function getAssessmentStore() {
+    if (!activeStore) activeStore = createAssessmentStore(process.env);
+    return activeStore;
+}
+
+function setAssessmentStore(store) {
+    activeStore = store;
+}
+
+module.exports = {
+    createInMemoryAssessmentStore,
+    createFileAssessmentStore,
+    createAssessmentStore,
+    getAssessmentStore,
+    setAssessmentStore
+};
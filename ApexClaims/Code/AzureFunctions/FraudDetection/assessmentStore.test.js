@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createInMemoryAssessmentStore, createFileAssessmentStore, createAssessmentStore } = require('./assessmentStore');
+
+describe('FraudDetection assessment store', () => {
+    const first = { assessmentId: 'a-1', claimId: 'claim-1', riskScore: 20, timestamp: '2024-01-01T00:00:00.000Z' };
+    const second = { assessmentId: 'a-2', claimId: 'claim-1', riskScore: 45, timestamp: '2024-02-01T00:00:00.000Z' };
+    const other = { assessmentId: 'a-3', claimId: 'claim-2', riskScore: 70, timestamp: '2024-03-01T00:00:00.000Z' };
+
+    describe.each([
+        ['in-memory', () => createInMemoryAssessmentStore()],
+        ['file', () => createFileAssessmentStore(fs.mkdtempSync(path.join(os.tmpdir(), 'fraud-store-')))]
+    ])('%s backend', (name, createStore) => {
+        let store;
+
+        beforeEach(async () => {
+            store = createStore();
+            await store.save(first);
+            await store.save(second);
+            await store.save(other);
+        });
+
+        test('fetches an assessment by id', async () => {
+            expect(await store.getById('a-2')).toEqual(second);
+            expect(await store.getById('missing')).toBeNull();
+        });
+
+        test('lists a claim\'s assessments newest first', async () => {
+            const assessments = await store.listByClaimId('claim-1');
+            expect(assessments.map(assessment => assessment.assessmentId)).toEqual(['a-2', 'a-1']);
+            expect(await store.listByClaimId('claim-9')).toEqual([]);
+        });
+    });
+
+    test('file backend refuses ids that could escape its directory', async () => {
+        const store = createFileAssessmentStore(fs.mkdtempSync(path.join(os.tmpdir(), 'fraud-store-')));
+        await expect(store.save({ assessmentId: '../evil', claimId: 'x' })).rejects.toThrow('Invalid assessment id');
+        expect(await store.getById('../evil')).toBeNull();
+    });
+
+    test('in-memory backend evicts the oldest assessments beyond its limit', async () => {
+        const store = createInMemoryAssessmentStore(2);
+        await store.save(first);
+        await store.save(second);
+        await store.save(other);
+
+        expect(store.size()).toBe(2);
+        expect(await store.getById('a-1')).toBeNull();
+        expect((await store.listByClaimId('claim-1')).map(assessment => assessment.assessmentId)).toEqual(['a-2']);
+    });
+
+    test('file backend keeps each claim\'s assessments in their own directory', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fraud-store-'));
+        const store = createFileAssessmentStore(root);
+        await store.save(first);
+        await store.save(second);
+        await store.save({ ...other, claimId: '../claim-2' });
+
+        const claimDirectories = fs.readdirSync(path.join(root, 'claims'));
+        expect(claimDirectories).toHaveLength(2);
+        expect(claimDirectories.map(directory => fs.readdirSync(path.join(root, 'claims', directory)).length).sort()).toEqual([1, 2]);
+        expect((await store.listByClaimId('../claim-2')).map(assessment => assessment.assessmentId)).toEqual(['a-3']);
+        expect(await store.getById('a-3')).toMatchObject({ claimId: '../claim-2' });
+    });
+
+    test('file backend lists nothing before its directory exists', async () => {
+        const store = createFileAssessmentStore(path.join(os.tmpdir(), 'fraud-store-missing-' + Date.now()));
+        expect(await store.listByClaimId('claim-1')).toEqual([]);
+    });
+
+    test('createAssessmentStore honours FRAUD_ASSESSMENT_STORE', () => {
+        expect(() => createAssessmentStore({ FRAUD_ASSESSMENT_STORE: 'cosmos' })).toThrow('Unknown assessment store');
+        expect(typeof createAssessmentStore({}).save).toBe('function');
+    });
+});
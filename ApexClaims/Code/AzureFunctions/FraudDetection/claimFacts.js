@@ -0,0 +1,25 @@
+const { buildFacts } = require('./ruleEngine');
+const { getClaimHistoryRepository, findPriorClaims, buildHistoryFacts } = require('./claimHistory');
+const { buildPolicyFacts } = require('./policySignals');
+const { buildWeatherFacts } = require('./weatherSignals');
+const { getDescriptionStore, findSimilarDescriptions, buildSimilarityFacts } = require('./descriptionSimilarity');
+
+// Read-only: gathers every fact the scorers need without recording the claim anywhere,
+// so live scoring and what-if simulation see identical inputs.
+async function gatherFacts(claim) {
+    const priorClaims = await findPriorClaims(claim, getClaimHistoryRepository());
+    const similarity = await findSimilarDescriptions(claim, getDescriptionStore());
+
+    return {
+        facts: {
+            ...buildFacts(claim),
+            ...buildHistoryFacts(claim, priorClaims),
+            ...buildPolicyFacts(claim),
+            ...buildWeatherFacts(claim),
+            ...buildSimilarityFacts(similarity.matches)
+        },
+        similarity
+    };
+}
+
+module.exports = { gatherFacts };
@@ -0,0 +1,145 @@
+// Prior-claim lookups for velocity and duplicate-location factors.
+// A repository is any object with async findByPolicy, findByCustomer, findByLocation and save;
+// the in-memory one below is the default and a Dataverse-backed one can be swapped in via setClaimHistoryRepository.
+
+const VELOCITY_WINDOW_DAYS = 60;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const MAX_STORED_CLAIMS = 10000;
+
+function normalizeLocation(location) {
+    return (location || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function toHistoryRecord(claim) {
+    return {
+        claimId: claim.claimId,
+        policyId: claim.policyId,
+        customerId: claim.customerId || null,
+        location: claim.location || '',
+        incidentDate: claim.incidentDate
+    };
+}
+
+function createInMemoryClaimHistoryRepository(seedClaims, maxEntries) {
+    const limit = maxEntries || MAX_STORED_CLAIMS;
+    // Insertion-ordered Map doubles as a FIFO so the oldest claims age out first; the indexes map each
+    // policy, customer and normalised location to its claimIds so lookups never scan every record
+    const claims = new Map();
+    const indexes = { policyId: new Map(), customerId: new Map(), location: new Map() };
+
+    const indexKeys = record => ({ policyId: record.policyId, customerId: record.customerId, location: normalizeLocation(record.location) });
+
+    function unindex(record) {
+        Object.entries(indexKeys(record)).forEach(([field, key]) => {
+            const ids = indexes[field].get(key);
+            if (!ids) return;
+            ids.delete(record.claimId);
+            if (ids.size === 0) indexes[field].delete(key);
+        });
+    }
+
+    function store(claim) {
+        const record = toHistoryRecord(claim);
+        if (claims.has(record.claimId)) {
+            unindex(claims.get(record.claimId));
+            claims.delete(record.claimId);
+        }
+        claims.set(record.claimId, record);
+        Object.entries(indexKeys(record)).forEach(([field, key]) => {
+            if (!key) return;
+            if (!indexes[field].has(key)) indexes[field].set(key, new Set());
+            indexes[field].get(key).add(record.claimId);
+        });
+        if (claims.size > limit) {
+            const oldest = claims.keys().next().value;
+            unindex(claims.get(oldest));
+            claims.delete(oldest);
+        }
+    }
+
+    const lookup = (field, key) => (key ? [...(indexes[field].get(key) || [])].map(claimId => claims.get(claimId)) : []);
+
+    const repository = {
+        async findByPolicy(policyId) {
+            return lookup('policyId', policyId);
+        },
+        async findByCustomer(customerId) {
+            return lookup('customerId', customerId);
+        },
+        async findByLocation(location) {
+            return lookup('location', normalizeLocation(location));
+        },
+        // Upsert by claimId so rescoring the same claim never inflates its own history
+        async save(claim) {
+            store(claim);
+        },
+        size() {
+            return claims.size;
+        }
+    };
+
+    (seedClaims || []).forEach(store);
+    return repository;
+}
+
+let activeRepository = createInMemoryClaimHistoryRepository();
+
+function getClaimHistoryRepository() {
+    return activeRepository;
+}
+
+function setClaimHistoryRepository(repository) {
+    activeRepository = repository;
+}
+
+// Caller-supplied priorClaims win; otherwise the repository is queried by policy, customer and location
+async function findPriorClaims(claim, repository) {
+    if (Array.isArray(claim.priorClaims)) {
+        return claim.priorClaims.filter(prior => prior && prior.claimId !== claim.claimId).map(toHistoryRecord);
+    }
+
+    const lookups = [repository.findByPolicy(claim.policyId), repository.findByLocation(claim.location)];
+    if (claim.customerId) lookups.push(repository.findByCustomer(claim.customerId));
+
+    const byId = new Map();
+    (await Promise.all(lookups)).flat().forEach(prior => {
+        if (prior.claimId !== claim.claimId) byId.set(prior.claimId, prior);
+    });
+    return [...byId.values()];
+}
+
+function withinVelocityWindow(prior, incidentTime) {
+    const priorTime = new Date(prior.incidentDate).getTime();
+    return !isNaN(priorTime) && Math.abs(incidentTime - priorTime) <= VELOCITY_WINDOW_DAYS * MS_PER_DAY;
+}
+
+function buildHistoryFacts(claim, priorClaims) {
+    const incidentTime = new Date(claim.incidentDate).getTime();
+    const location = normalizeLocation(claim.location);
+
+    const policyClaims = priorClaims.filter(prior => prior.policyId === claim.policyId && withinVelocityWindow(prior, incidentTime));
+    const customerClaims = claim.customerId
+        ? priorClaims.filter(prior => prior.customerId === claim.customerId && withinVelocityWindow(prior, incidentTime))
+        : [];
+    const sameLocationOtherPolicies = priorClaims.filter(prior => prior.policyId !== claim.policyId && location !== '' && normalizeLocation(prior.location) === location);
+
+    return {
+        priorClaimCount: priorClaims.length,
+        policyClaimsInWindow: policyClaims.length,
+        policyClaimIds: policyClaims.map(prior => prior.claimId),
+        customerClaimsInWindow: claim.customerId ? customerClaims.length : undefined,
+        customerClaimIds: customerClaims.map(prior => prior.claimId),
+        duplicateLocationPolicyCount: new Set(sameLocationOtherPolicies.map(prior => prior.policyId)).size,
+        duplicateLocationClaimIds: sameLocationOtherPolicies.map(prior => prior.claimId)
+    };
+}
+
+module.exports = {
+    VELOCITY_WINDOW_DAYS,
+    normalizeLocation,
+    createInMemoryClaimHistoryRepository,
+    getClaimHistoryRepository,
+    setClaimHistoryRepository,
+    findPriorClaims,
+    buildHistoryFacts
+};
@@ -0,0 +1,95 @@
+const {
+    normalizeLocation,
+    createInMemoryClaimHistoryRepository,
+    findPriorClaims,
+    buildHistoryFacts
+} = require('./claimHistory');
+
+describe('FraudDetection claim history', () => {
+    const claim = {
+        claimId: 'claim-3',
+        policyId: 'policy-1',
+        customerId: 'customer-1',
+        location: '12 George St, Sydney',
+        incidentDate: '2024-06-20T09:00:00Z'
+    };
+
+    test('normalizeLocation ignores case, punctuation and spacing', () => {
+        expect(normalizeLocation('  12 George St.,  SYDNEY ')).toBe(normalizeLocation('12 george st sydney'));
+    });
+
+    describe('in-memory repository', () => {
+        test('finds prior claims by policy, customer and location without the current claim', async () => {
+            const repository = createInMemoryClaimHistoryRepository([
+                { claimId: 'claim-1', policyId: 'policy-1', location: 'Elsewhere', incidentDate: '2024-05-01' },
+                { claimId: 'claim-2', policyId: 'policy-9', customerId: 'customer-1', location: 'Other', incidentDate: '2024-06-01' },
+                { claimId: 'claim-x', policyId: 'policy-7', location: '12 george st sydney', incidentDate: '2023-01-01' },
+                { claimId: 'claim-3', policyId: 'policy-1', location: claim.location, incidentDate: claim.incidentDate },
+                { claimId: 'claim-z', policyId: 'policy-8', location: 'Unrelated', incidentDate: '2024-06-01' }
+            ]);
+
+            const priors = await findPriorClaims(claim, repository);
+            expect(priors.map(prior => prior.claimId).sort()).toEqual(['claim-1', 'claim-2', 'claim-x']);
+        });
+
+        test('save upserts by claimId', async () => {
+            const repository = createInMemoryClaimHistoryRepository();
+            await repository.save({ claimId: 'a', policyId: 'p', location: 'one' });
+            await repository.save({ claimId: 'a', policyId: 'p', location: 'two' });
+            expect(await repository.findByPolicy('p')).toHaveLength(1);
+        });
+
+        test('save re-indexes a claim whose location changed', async () => {
+            const repository = createInMemoryClaimHistoryRepository();
+            await repository.save({ claimId: 'a', policyId: 'p', location: 'one' });
+            await repository.save({ claimId: 'a', policyId: 'p', location: 'two' });
+            expect(await repository.findByLocation('one')).toEqual([]);
+            expect((await repository.findByLocation('Two')).map(prior => prior.claimId)).toEqual(['a']);
+        });
+
+        test('evicts the oldest claims beyond its limit', async () => {
+            const repository = createInMemoryClaimHistoryRepository([], 2);
+            await repository.save({ claimId: 'a', policyId: 'p', customerId: 'c', location: 'one' });
+            await repository.save({ claimId: 'b', policyId: 'p', location: 'two' });
+            await repository.save({ claimId: 'c', policyId: 'p', location: 'three' });
+
+            expect(repository.size()).toBe(2);
+            expect((await repository.findByPolicy('p')).map(prior => prior.claimId)).toEqual(['b', 'c']);
+            expect(await repository.findByCustomer('c')).toEqual([]);
+            expect(await repository.findByLocation('one')).toEqual([]);
+        });
+    });
+
+    test('caller-supplied priorClaims bypass the repository', async () => {
+        const repository = { findByPolicy: jest.fn(), findByCustomer: jest.fn(), findByLocation: jest.fn() };
+        const priors = await findPriorClaims({ ...claim, priorClaims: [{ claimId: 'claim-1', policyId: 'policy-1' }, { claimId: 'claim-3' }] }, repository);
+        expect(priors.map(prior => prior.claimId)).toEqual(['claim-1']);
+        expect(repository.findByPolicy).not.toHaveBeenCalled();
+    });
+
+    describe('buildHistoryFacts', () => {
+        test('counts policy and customer claims inside the velocity window', () => {
+            const facts = buildHistoryFacts(claim, [
+                { claimId: 'claim-1', policyId: 'policy-1', customerId: 'customer-1', location: '', incidentDate: '2024-05-01' },
+                { claimId: 'claim-2', policyId: 'policy-1', customerId: 'customer-1', location: '', incidentDate: '2024-06-10' },
+                { claimId: 'claim-0', policyId: 'policy-1', customerId: 'customer-1', location: '', incidentDate: '2023-01-10' }
+            ]);
+            expect(facts.policyClaimsInWindow).toBe(2);
+            expect(facts.policyClaimIds).toEqual(['claim-1', 'claim-2']);
+            expect(facts.customerClaimsInWindow).toBe(2);
+        });
+
+        test('flags the same location on other policies', () => {
+            const facts = buildHistoryFacts(claim, [
+                { claimId: 'claim-7', policyId: 'policy-7', location: '12 GEORGE ST SYDNEY', incidentDate: '2022-01-01' },
+                { claimId: 'claim-8', policyId: 'policy-1', location: '12 George St, Sydney', incidentDate: '2022-01-01' }
+            ]);
+            expect(facts.duplicateLocationPolicyCount).toBe(1);
+            expect(facts.duplicateLocationClaimIds).toEqual(['claim-7']);
+        });
+
+        test('leaves customer velocity undefined without a customerId', () => {
+            expect(buildHistoryFacts({ ...claim, customerId: undefined }, []).customerClaimsInWindow).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,129 @@
+const { isValidTimeZone } = require('./localTime');
+const { SCORING_MODES } = require('./strategies');
+const { SUPPORTED_LANGUAGES } = require('./keywords');
+
+// Request schema for fraud scoring. Each error is { field, code, message } where code is one of
+// required | type | range | enum | format. claimType also accepts the Dataverse option-set
+// values (new_claimtype) and is normalised to its label.
+
+const CLAIM_TYPE_OPTION_SET = { 100000000: 'Auto', 100000001: 'Home', 100000002: 'Commercial' };
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Date-only values are local calendar dates, which can run up to UTC+14 ahead of the host clock
+const DATE_ONLY_SKEW_MS = 14 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const CLAIM_SCHEMA = {
+    claimId: { type: 'string', required: true, minLength: 1 },
+    policyId: { type: 'string', required: true, minLength: 1 },
+    claimType: { type: 'string', required: true, enum: ['Auto', 'Home', 'Commercial'], aliases: CLAIM_TYPE_OPTION_SET },
+    amount: { type: 'number', required: true, min: 0 },
+    location: { type: 'string', required: true },
+    incidentDate: { type: 'string', required: true, format: 'date', notAfter: 'submissionDate' },
+    description: { type: 'string', required: true },
+    descriptionLanguage: { type: 'string', enum: SUPPORTED_LANGUAGES },
+    submissionDate: { type: 'string', format: 'date' },
+    customerId: { type: 'string' },
+    incidentTimeZone: { type: 'string', format: 'timezone' },
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 },
+    propertyVacant: { type: 'boolean' },
+    policy: { type: 'object' },
+    weather: { type: ['object', 'string'] },
+    priorClaims: { type: 'array' },
+    scoringMode: { type: 'string', enum: SCORING_MODES }
+};
+
+const FORMATS = {
+    date: value => ISO_DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime()),
+    timezone: isValidTimeZone
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+    return typeof value;
+}
+
+function error(field, code, message) {
+    return { field, code, message };
+}
+
+function resolveAlias(rule, value) {
+    if (!rule.aliases) return value;
+    const alias = rule.aliases[String(value)];
+    return alias !== undefined ? alias : value;
+}
+
+function validateField(field, rule, rawValue) {
+    const value = resolveAlias(rule, rawValue);
+    const allowedTypes = Array.isArray(rule.type) ? rule.type : [rule.type];
+
+    if (!allowedTypes.includes(typeOf(value))) {
+        return { value, error: error(field, 'type', `${field} must be of type ${allowedTypes.join(' or ')}`) };
+    }
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+        return { value, error: error(field, 'range', `${field} must not be empty`) };
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { value, error: error(field, 'enum', `${field} must be one of ${rule.enum.join(', ')}`) };
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return { value, error: error(field, 'range', `${field} must be at least ${rule.min}`) };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return { value, error: error(field, 'range', `${field} must be at most ${rule.max}`) };
+    }
+    if (rule.format && !FORMATS[rule.format](value)) {
+        return { value, error: error(field, 'format', `${field} is not a valid ${rule.format}`) };
+    }
+    return { value, error: null };
+}
+
+// Returns { valid, errors, missingFields, value } where value is the claim with aliases normalised
+function validateClaim(claim, now) {
+    if (!claim || typeof claim !== 'object' || Array.isArray(claim)) {
+        const missingFields = Object.keys(CLAIM_SCHEMA).filter(field => CLAIM_SCHEMA[field].required);
+        return { valid: false, errors: missingFields.map(field => error(field, 'required', `${field} is required`)), missingFields, value: null };
+    }
+
+    const errors = [];
+    const value = { ...claim };
+
+    Object.keys(CLAIM_SCHEMA).forEach(field => {
+        const rule = CLAIM_SCHEMA[field];
+        if (claim[field] === undefined || claim[field] === null) {
+            if (rule.required) errors.push(error(field, 'required', `${field} is required`));
+            return;
+        }
+        const result = validateField(field, rule, claim[field]);
+        value[field] = result.value;
+        if (result.error) errors.push(result.error);
+    });
+
+    // A future incident would otherwise surface as a silently negative reporting delay
+    Object.keys(CLAIM_SCHEMA).forEach(field => {
+        const rule = CLAIM_SCHEMA[field];
+        if (!rule.notAfter || errors.some(existing => existing.field === field || existing.field === rule.notAfter)) return;
+        if (value[field] === undefined || value[field] === null) return;
+
+        const limit = value[rule.notAfter] ? new Date(value[rule.notAfter]).getTime() : (now || Date.now());
+        const skew = DATE_ONLY_PATTERN.test(value[field]) ? DATE_ONLY_SKEW_MS : CLOCK_SKEW_MS;
+        if (new Date(value[field]).getTime() > limit + skew) {
+            errors.push(error(field, 'range', value[rule.notAfter] ? `${field} cannot be after ${rule.notAfter}` : `${field} cannot be in the future`));
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        missingFields: errors.filter(item => item.code === 'required').map(item => item.field),
+        value
+    };
+}
+
+module.exports = {
+    CLAIM_SCHEMA,
+    CLAIM_TYPE_OPTION_SET,
+    validateClaim
+};
@@ -0,0 +1,70 @@
+const { validateClaim } = require('./claimSchema');
+
+describe('FraudDetection claim schema', () => {
+    const now = Date.parse('2024-06-01T12:00:00Z');
+    const claim = {
+        claimId: 'claim-1',
+        policyId: 'policy-1',
+        claimType: 'Home',
+        amount: 1200,
+        location: '1 Test Street, Sydney',
+        incidentDate: '2024-05-30T08:00:00Z',
+        description: 'Water leak damaged the kitchen floor.'
+    };
+
+    function codesFor(result, field) {
+        return result.errors.filter(item => item.field === field).map(item => item.code);
+    }
+
+    test('accepts a valid claim', () => {
+        const result = validateClaim(claim, now);
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual([]);
+    });
+
+    test('reports missing required fields', () => {
+        const result = validateClaim({ ...claim, claimId: undefined, amount: null }, now);
+        expect(result.missingFields).toEqual(['claimId', 'amount']);
+        expect(codesFor(result, 'claimId')).toEqual(['required']);
+    });
+
+    test('rejects wrong types', () => {
+        const result = validateClaim({ ...claim, amount: '1200', description: 42, priorClaims: {} }, now);
+        expect(codesFor(result, 'amount')).toEqual(['type']);
+        expect(codesFor(result, 'description')).toEqual(['type']);
+        expect(codesFor(result, 'priorClaims')).toEqual(['type']);
+    });
+
+    test('rejects out-of-range numbers', () => {
+        const result = validateClaim({ ...claim, amount: -5, latitude: 95 }, now);
+        expect(codesFor(result, 'amount')).toEqual(['range']);
+        expect(codesFor(result, 'latitude')).toEqual(['range']);
+    });
+
+    test('restricts claimType and accepts Dataverse option-set aliases', () => {
+        expect(codesFor(validateClaim({ ...claim, claimType: 'Boat' }, now), 'claimType')).toEqual(['enum']);
+        expect(validateClaim({ ...claim, claimType: 100000002 }, now).value.claimType).toBe('Commercial');
+        expect(validateClaim({ ...claim, claimType: '100000000' }, now).value.claimType).toBe('Auto');
+    });
+
+    test('rejects malformed dates and timezones', () => {
+        const result = validateClaim({ ...claim, incidentDate: 'banana', submissionDate: '2024-13-45', incidentTimeZone: 'Mars/Base' }, now);
+        expect(codesFor(result, 'incidentDate')).toEqual(['format']);
+        expect(codesFor(result, 'submissionDate')).toEqual(['format']);
+        expect(codesFor(result, 'incidentTimeZone')).toEqual(['format']);
+    });
+
+    test('rejects incidents in the future or after submission', () => {
+        expect(codesFor(validateClaim({ ...claim, incidentDate: '2024-06-03T00:00:00Z' }, now), 'incidentDate')).toEqual(['range']);
+        expect(codesFor(validateClaim({ ...claim, submissionDate: '2024-05-29T00:00:00Z' }, now), 'incidentDate')).toEqual(['range']);
+    });
+
+    test('allows a date-only incident on the local "today" ahead of UTC', () => {
+        expect(validateClaim({ ...claim, incidentDate: '2024-06-02' }, now).valid).toBe(true);
+    });
+
+    test('treats a non-object body as every required field missing', () => {
+        expect(validateClaim(null, now).missingFields).toHaveLength(7);
+        expect(validateClaim([], now).valid).toBe(false);
+    });
+});
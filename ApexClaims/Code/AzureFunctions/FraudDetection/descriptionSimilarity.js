@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+// Near-duplicate detection for recycled claim descriptions using MinHash over word shingles.
+// Signatures are kept in a bounded local store; the estimated Jaccard similarity of two
+// signatures is the share of hash slots where they agree.
+
+const SHINGLE_SIZE = 3;
+const NUM_HASHES = 64;
+const SIMILARITY_THRESHOLD = 0.7;
+// Below this many distinct shingles (six words) a description is too generic to fingerprint:
+// "Car stolen" and "Car stolen!" would otherwise share their only shingle and score 100%
+const MIN_SHINGLES = 4;
+const MAX_STORED_DESCRIPTIONS = 5000;
+const UINT32_MAX = 0xffffffff;
+
+// Fixed seeds keep signatures comparable across host restarts and persisted stores
+const HASH_SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => {
+    const digest = crypto.createHash('sha256').update('minhash-seed-' + i).digest();
+    return { a: digest.readUInt32BE(0) | 1, b: digest.readUInt32BE(4) };
+});
+
+function tokenize(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+function shingles(text) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return [];
+    if (tokens.length < SHINGLE_SIZE) return [tokens.join(' ')];
+
+    const result = new Set();
+    for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) {
+        result.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return [...result];
+}
+
+function baseHash(shingle) {
+    return crypto.createHash('md5').update(shingle).digest().readUInt32BE(0);
+}
+
+function computeSignature(text) {
+    const hashes = shingles(text).map(baseHash);
+    if (hashes.length < MIN_SHINGLES) return null;
+
+    return HASH_SEEDS.map(({ a, b }) => {
+        let min = UINT32_MAX;
+        hashes.forEach(hash => {
+            const value = (Math.imul(a, hash) + b) >>> 0;
+            if (value < min) min = value;
+        });
+        return min;
+    });
+}
+
+function estimateSimilarity(signatureA, signatureB) {
+    let matches = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+        if (signatureA[i] === signatureB[i]) matches++;
+    }
+    return matches / NUM_HASHES;
+}
+
+// Insertion-ordered Map doubles as a FIFO so the oldest descriptions age out first
+function createInMemoryDescriptionStore(maxEntries) {
+    const limit = maxEntries || MAX_STORED_DESCRIPTIONS;
+    const entries = new Map();
+
+    return {
+        async findSimilar(signature, threshold, excludeClaimId) {
+            const matches = [];
+            entries.forEach((entry, claimId) => {
+                if (claimId === excludeClaimId) return;
+                const similarity = estimateSimilarity(signature, entry.signature);
+                if (similarity >= threshold) matches.push({ claimId, policyId: entry.policyId, similarity });
+            });
+            return matches.sort((x, y) => y.similarity - x.similarity);
+        },
+        async save(claimId, policyId, signature) {
+            entries.delete(claimId);
+            entries.set(claimId, { policyId, signature });
+            if (entries.size > limit) entries.delete(entries.keys().next().value);
+        },
+        size() {
+            return entries.size;
+        }
+    };
+}
+
+let activeStore = createInMemoryDescriptionStore();
+
+function getDescriptionStore() {
+    return activeStore;
+}
+
+function setDescriptionStore(store) {
+    activeStore = store;
+}
+
+async function findSimilarDescriptions(claim, store) {
+    const signature = computeSignature(claim.description);
+    if (!signature) return { signature: null, matches: [] };
+
+    const matches = await store.findSimilar(signature, SIMILARITY_THRESHOLD, claim.claimId);
+    return { signature, matches };
+}
+
+function buildSimilarityFacts(matches) {
+    return {
+        similarDescriptionCount: matches.length,
+        similarDescriptionClaimIds: matches.map(match => `${match.claimId} (${Math.round(match.similarity * 100)}%)`)
+    };
+}
+
+module.exports = {
+    SIMILARITY_THRESHOLD,
+    MIN_SHINGLES,
+    shingles,
+    computeSignature,
+    estimateSimilarity,
+    createInMemoryDescriptionStore,
+    getDescriptionStore,
+    setDescriptionStore,
+    findSimilarDescriptions,
+    buildSimilarityFacts
+};
@@ -0,0 +1,65 @@
+const {
+    shingles,
+    computeSignature,
+    estimateSimilarity,
+    createInMemoryDescriptionStore,
+    findSimilarDescriptions
+} = require('./descriptionSimilarity');
+
+describe('FraudDetection description similarity', () => {
+    const original = 'Rear-ended at the traffic lights on Parramatta Road, other driver fled the scene before police arrived.';
+    const recycled = 'Rear ended at the traffic lights on Parramatta Rd, other driver fled the scene before police arrived!';
+    const unrelated = 'Burst pipe in the upstairs bathroom flooded the hallway and damaged the kitchen ceiling below.';
+
+    test('shingles are lower-cased word trigrams', () => {
+        expect(shingles('The Quick brown fox')).toEqual(['the quick brown', 'quick brown fox']);
+        expect(shingles('Hi there')).toEqual(['hi there']);
+        expect(shingles('')).toEqual([]);
+    });
+
+    test('signatures are deterministic', () => {
+        expect(computeSignature(original)).toEqual(computeSignature(original));
+        expect(computeSignature('   ')).toBeNull();
+    });
+
+    test('short generic descriptions are neither fingerprinted nor matched', async () => {
+        expect(computeSignature('Car stolen')).toBeNull();
+        expect(computeSignature('Car stolen from the driveway')).toBeNull();
+
+        const store = createInMemoryDescriptionStore();
+        await store.save('claim-1', 'policy-1', computeSignature(original));
+        const { signature, matches } = await findSimilarDescriptions({ claimId: 'claim-2', description: 'Car stolen!' }, store);
+        expect(signature).toBeNull();
+        expect(matches).toEqual([]);
+    });
+
+    test('near-identical descriptions score high, unrelated ones low', () => {
+        const base = computeSignature(original);
+        expect(estimateSimilarity(base, computeSignature(original))).toBe(1);
+        expect(estimateSimilarity(base, computeSignature(recycled))).toBeGreaterThanOrEqual(0.7);
+        expect(estimateSimilarity(base, computeSignature(unrelated))).toBeLessThan(0.2);
+    });
+
+    test('store reports matching claim ids and skips the claim itself', async () => {
+        const store = createInMemoryDescriptionStore();
+        await store.save('claim-1', 'policy-1', computeSignature(original));
+        await store.save('claim-2', 'policy-2', computeSignature(unrelated));
+
+        const { matches } = await findSimilarDescriptions({ claimId: 'claim-9', description: recycled }, store);
+        expect(matches.map(match => match.claimId)).toEqual(['claim-1']);
+
+        const self = await findSimilarDescriptions({ claimId: 'claim-1', description: original }, store);
+        expect(self.matches).toEqual([]);
+    });
+
+    test('store evicts the oldest descriptions beyond its limit', async () => {
+        const store = createInMemoryDescriptionStore(2);
+        await store.save('a', 'p', computeSignature(original));
+        await store.save('b', 'p', computeSignature(unrelated));
+        await store.save('c', 'p', computeSignature(recycled));
+
+        expect(store.size()).toBe(2);
+        const { matches } = await findSimilarDescriptions({ claimId: 'x', description: original }, store);
+        expect(matches.map(match => match.claimId)).toEqual(['c']);
+    });
+});
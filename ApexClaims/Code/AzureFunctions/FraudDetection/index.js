@@ -1,63 +1,217 @@
 const { v4: uuidv4 } = require('uuid');
+const { getActiveRuleSet, validateRuleSet } = require('./ruleEngine');
+const { getClaimHistoryRepository } = require('./claimHistory');
+const { getDescriptionStore } = require('./descriptionSimilarity');
+const { gatherFacts } = require('./claimFacts');
+const { parseClaimsCsv, simulateRuleSet } = require('./simulation');
+const { resolveScoringMode, createScorers } = require('./strategies');
+const { getAssessmentStore } = require('./assessmentStore');
+const { validateClaim } = require('./claimSchema');
+const { getRiskBand } = require('../shared/riskBands');
 
-// Fraud scoring - basic rule-based approach
-// TODO: replace with ML model if this ever goes to prod
+// Fraud scoring - pluggable strategies: the versioned rule set (rulesets/default.json) by default,
+// or a JSON-exported model (models/default-logistic.json), optionally run side by side in shadow mode
 
-module.exports = async function (context, req) {
-    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+const MAX_BATCH_SIZE = 500;
+const MAX_SIMULATION_SIZE = 1000;
 
-    const requiredFields = ['claimId', 'policyId', 'claimType', 'amount', 'location', 'incidentDate', 'description'];
-    const missingFields = requiredFields.filter(field => !req.body || req.body[field] === undefined || req.body[field] === null);
+// Missing fields keep the original error message so existing callers still recognise it
+function validationError(validation) {
+    const error = validation.missingFields.length > 0 ? 'Missing required fields' : 'Invalid request';
+    return { error, missingFields: validation.missingFields, errors: validation.errors };
+}
 
-    if (missingFields.length > 0) {
-        context.res = { status: 400, headers: { 'Content-Type': 'application/json' }, body: { error: 'Missing required fields', missingFields } };
-        return;
+// Every assessment is persisted so its assessmentId can be retrieved later for audit
+async function scoreClaim(claim, scorers, correlationId) {
+    const { facts, similarity } = await gatherFacts(claim);
+    const { riskScore, rawScore, baseScore, riskFactors, contributions, profile } = scorers.primary.score(facts);
+    await getClaimHistoryRepository().save(claim);
+    if (similarity.signature) await getDescriptionStore().save(claim.claimId, claim.policyId, similarity.signature);
+
+    const band = getRiskBand(riskScore);
+    const result = {
+        riskScore,
+        riskFactors,
+        baseScore,
+        rawScore,
+        scoreBreakdown: contributions,
+        similarClaims: similarity.matches,
+        incidentTimeZone: { timeZone: facts.incidentTimeZone, source: facts.incidentTimeZoneSource, localDate: facts.incidentLocalDate || null },
+        descriptionLanguage: { language: facts.descriptionLanguage, source: facts.descriptionLanguageSource },
+        riskBand: band.label,
+        recommendation: band.recommendation,
+        scoringStrategy: scorers.primary.name,
+        scoringProfile: profile || null,
+        ...scorers.primary.metadata,
+        assessmentId: uuidv4(),
+        correlationId,
+        timestamp: new Date().toISOString()
+    };
+
+    if (scorers.shadow) {
+        const shadow = scorers.shadow.score(facts);
+        const shadowBand = getRiskBand(shadow.riskScore);
+        result.shadow = {
+            scoringStrategy: scorers.shadow.name,
+            ...scorers.shadow.metadata,
+            riskScore: shadow.riskScore,
+            riskBand: shadowBand.label,
+            recommendation: shadowBand.recommendation,
+            riskFactors: shadow.riskFactors,
+            delta: shadow.riskScore - riskScore
+        };
     }
 
-    const { claimType, amount, location, incidentDate, description } = req.body;
+    await getAssessmentStore().save({
+        claimId: claim.claimId,
+        policyId: claim.policyId,
+        input: JSON.parse(JSON.stringify(claim)),
+        ...result
+    });
 
-    let riskScore = 15;
-    const riskFactors = [];
+    return result;
+}
 
-    const incidentDateObj = new Date(incidentDate);
-    const referenceDate = req.body.submissionDate ? new Date(req.body.submissionDate) : new Date();
-    const dayOfWeek = incidentDateObj.getDay();
-    const daysSinceIncident = Math.floor((referenceDate - incidentDateObj) / (1000 * 60 * 60 * 24));
+// Each claim is validated and scored on its own so one bad row never fails the batch.
+// Sequential on purpose: later claims in the batch see earlier ones in the claim history.
+async function scoreBatch(claims, scorers, correlationId) {
+    const results = [];
+    for (let index = 0; index < claims.length; index++) {
+        const claim = claims[index];
+        const claimId = claim && claim.claimId !== undefined ? claim.claimId : null;
+        const validation = validateClaim(claim);
+        if (!validation.valid) {
+            results.push({ index, claimId, success: false, ...validationError(validation) });
+            continue;
+        }
+        try {
+            results.push({ index, claimId, success: true, result: await scoreClaim(validation.value, scorers, correlationId) });
+        } catch (error) {
+            results.push({ index, claimId, success: false, error: error.message });
+        }
+    }
+    return results;
+}
 
-    if (amount > 50000) { riskScore += 25; riskFactors.push('High claim amount'); }
-    else if (amount > 20000) { riskScore += 15; riskFactors.push('Elevated claim amount'); }
-    else if (amount > 10000) { riskScore += 5; }
+function jsonResponse(status, body) {
+    return { status, headers: { 'Content-Type': 'application/json' }, body };
+}
 
-    if (dayOfWeek === 0 || dayOfWeek === 6) { riskScore += 10; riskFactors.push('Weekend incident'); }
-    if (daysSinceIncident <= 1 && daysSinceIncident >= 0) { riskScore += 8; riskFactors.push('Rapid claim submission'); }
-    if (daysSinceIncident > 30) { riskScore += 12; riskFactors.push('Delayed reporting'); }
+// Body: { ruleSet, claims } where claims is an array of claim objects, or { ruleSet, claimsCsv }
+async function handleSimulation(context, req, correlationId) {
+    const body = req.body || {};
+    let candidateRuleSet;
+    try {
+        candidateRuleSet = validateRuleSet(body.ruleSet);
+    } catch (error) {
+        context.res = jsonResponse(400, { error: `Invalid candidate rule set: ${error.message}`, correlationId });
+        return;
+    }
 
-    const locationLower = (location || '').toLowerCase();
-    if (claimType === 'Auto' && (locationLower.includes('highway') || locationLower.includes('interstate'))) { riskScore += 5; }
-    if ((location || '').length < 15) { riskScore += 10; riskFactors.push('Vague location details'); }
+    let claims = body.claims;
+    if (typeof body.claimsCsv === 'string') {
+        try {
+            claims = parseClaimsCsv(body.claimsCsv);
+        } catch (error) {
+            context.res = jsonResponse(400, { error: `Invalid claims CSV: ${error.message}`, correlationId });
+            return;
+        }
+    }
+    if (!Array.isArray(claims) || claims.length === 0) {
+        context.res = jsonResponse(400, { error: 'claims must be a non-empty array or claimsCsv a CSV string', correlationId });
+        return;
+    }
+    if (claims.length > MAX_SIMULATION_SIZE) {
+        context.res = jsonResponse(400, { error: `Simulation size exceeds maximum of ${MAX_SIMULATION_SIZE}`, correlationId });
+        return;
+    }
 
-    const descriptionLower = (description || '').toLowerCase();
-    if ((description || '').length < 50) { riskScore += 15; riskFactors.push('Minimal incident description'); }
-    if (descriptionLower.includes('total loss') || descriptionLower.includes('totaled')) { riskScore += 10; riskFactors.push('Total loss claim'); }
-    if (descriptionLower.includes('witness') || descriptionLower.includes('police report')) { riskScore -= 10; }
+    let currentRuleSet;
+    try {
+        currentRuleSet = getActiveRuleSet();
+    } catch (error) {
+        context.log.error(`Fraud scoring configuration failed to load: ${error.message}`);
+        context.res = jsonResponse(500, { error: 'Fraud scoring configuration unavailable', correlationId });
+        return;
+    }
 
-    if (claimType === 'Commercial') { riskScore += 5; }
-    if (claimType === 'Auto' && amount > 30000) { riskScore += 8; riskFactors.push('High-value auto claim'); }
+    try {
+        const simulation = await simulateRuleSet(candidateRuleSet, claims, currentRuleSet);
+        context.res = jsonResponse(200, { ...simulation, correlationId, timestamp: new Date().toISOString() });
+    } catch (error) {
+        context.log.error(`Fraud simulation failed: ${error.message}`);
+        context.res = jsonResponse(500, { error: 'Fraud simulation failed', correlationId });
+    }
+}
 
-    riskScore = Math.max(0, Math.min(100, riskScore));
+module.exports = async function (context, req) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const mode = req.params && req.params.mode;
 
-    let recommendation = riskScore <= 30 ? 'Proceed' : riskScore <= 60 ? 'Review' : 'Investigate';
+    if (mode === 'simulate') {
+        await handleSimulation(context, req, correlationId);
+        return;
+    }
+    if (mode && mode !== 'batch') {
+        context.res = jsonResponse(404, { error: `Unknown fraud detection route: ${mode}`, correlationId });
+        return;
+    }
 
-    context.res = {
-        status: 200,
-        headers: { 'Content-Type': 'application/json' },
-        body: {
-            riskScore,
-            riskFactors,
-            recommendation,
-            assessmentId: uuidv4(),
+    let claims;
+    let claim;
+    if (mode === 'batch') {
+        claims = Array.isArray(req.body) ? req.body : req.body && req.body.claims;
+        if (!Array.isArray(claims) || claims.length === 0) {
+            context.res = jsonResponse(400, { error: 'claims must be a non-empty array', correlationId });
+            return;
+        }
+        if (claims.length > MAX_BATCH_SIZE) {
+            context.res = jsonResponse(400, { error: `Batch size exceeds maximum of ${MAX_BATCH_SIZE}`, correlationId });
+            return;
+        }
+    } else {
+        const validation = validateClaim(req.body);
+        if (!validation.valid) {
+            context.res = jsonResponse(400, { ...validationError(validation), correlationId });
+            return;
+        }
+        claim = validation.value;
+    }
+
+    const requestedMode = (req.query && req.query.scoringMode) || (req.body && req.body.scoringMode);
+    const scoringMode = resolveScoringMode(requestedMode);
+    if (!scoringMode) {
+        context.res = jsonResponse(400, { error: `Unknown scoring mode: ${requestedMode}`, correlationId });
+        return;
+    }
+
+    let scorers;
+    try {
+        scorers = createScorers(scoringMode);
+    } catch (error) {
+        context.log.error(`Fraud scoring configuration failed to load: ${error.message}`);
+        context.res = jsonResponse(500, { error: 'Fraud scoring configuration unavailable', correlationId });
+        return;
+    }
+
+    if (mode === 'batch') {
+        const results = await scoreBatch(claims, scorers, correlationId);
+        const scored = results.filter(item => item.success).length;
+        context.res = jsonResponse(200, {
+            results,
+            summary: { total: results.length, scored, failed: results.length - scored },
+            scoringStrategy: scorers.primary.name,
+            ...scorers.primary.metadata,
             correlationId,
             timestamp: new Date().toISOString()
-        }
-    };
+        });
+        return;
+    }
+
+    try {
+        context.res = jsonResponse(200, await scoreClaim(claim, scorers, correlationId));
+    } catch (error) {
+        context.log.error(`Fraud scoring failed: ${error.message}`);
+        context.res = jsonResponse(500, { error: 'Fraud scoring failed', correlationId });
+    }
 };
@@ -1,4 +1,8 @@
 const fraudDetection = require('./index');
+const { createInMemoryClaimHistoryRepository, setClaimHistoryRepository } = require('./claimHistory');
+const { createInMemoryDescriptionStore, setDescriptionStore } = require('./descriptionSimilarity');
+const { createInMemoryAssessmentStore, setAssessmentStore } = require('./assessmentStore');
+const { getRiskBand } = require('../shared/riskBands');
 
 // Mock uuid to return predictable values
 jest.mock('uuid', () => ({
@@ -28,6 +32,10 @@ describe('FraudDetection Azure Function', () => {
             }
         };
 
+        setClaimHistoryRepository(createInMemoryClaimHistoryRepository());
+        setDescriptionStore(createInMemoryDescriptionStore());
+        setAssessmentStore(createInMemoryAssessmentStore());
+
         // Mock setTimeout to avoid waiting in tests
         jest.useFakeTimers();
     });
@@ -76,6 +84,49 @@ describe('FraudDetection Azure Function', () => {
         });
     });
 
+    describe('Schema Validation', () => {
+        test('returns 400 with per-field error codes', async () => {
+            baseRequest.body.amount = '5000';
+            baseRequest.body.incidentDate = 'banana';
+            baseRequest.body.claimType = 'Boat';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.error).toBe('Invalid request');
+            expect(context.res.body.errors.map(item => [item.field, item.code])).toEqual([
+                ['claimType', 'enum'],
+                ['amount', 'type'],
+                ['incidentDate', 'format']
+            ]);
+        });
+
+        test('rejects a future incident date', async () => {
+            baseRequest.body.incidentDate = new Date(Date.now() + 3 * 86400000).toISOString();
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.errors).toEqual([expect.objectContaining({ field: 'incidentDate', code: 'range' })]);
+        });
+
+        test('scores Dataverse option-set claim types as their label', async () => {
+            baseRequest.body.claimType = 100000000;
+            baseRequest.body.amount = 35000;
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(200);
+            expect(context.res.body.riskFactors).toContain('High-value auto claim');
+        });
+    });
+
     describe('Risk Score Calculation', () => {
         test('returns 200 with valid request', async () => {
             const promise = fraudDetection(context, baseRequest);
@@ -110,9 +161,9 @@ describe('FraudDetection Azure Function', () => {
         });
 
         test('weekend incident increases risk score', async () => {
-            // Find next Saturday
+            // Find the most recent Saturday (future incident dates are rejected)
             const saturday = new Date();
-            saturday.setDate(saturday.getDate() + (6 - saturday.getDay()));
+            saturday.setDate(saturday.getDate() - ((saturday.getDay() + 1) % 7));
             baseRequest.body.incidentDate = saturday.toISOString();
 
             const promise = fraudDetection(context, baseRequest);
@@ -175,6 +226,28 @@ describe('FraudDetection Azure Function', () => {
             expect(context.res.body.riskFactors).toContain('High-value auto claim');
         });
 
+        test('score breakdown reconstructs the raw score', async () => {
+            baseRequest.body.amount = 15000;
+            baseRequest.body.claimType = 'Commercial';
+            baseRequest.body.location = 'Interstate 95 near exit 12';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const body = context.res.body;
+            const total = body.scoreBreakdown.reduce((sum, item) => sum + item.points, body.baseScore);
+            expect(total).toBe(body.rawScore);
+            expect(body.scoreBreakdown).toEqual(expect.arrayContaining([
+                expect.objectContaining({ ruleId: 'amount-moderate', label: 'Moderate claim amount', points: 5, evidence: 'amount 15000 > 10000' }),
+                expect.objectContaining({ ruleId: 'commercial-claim', label: 'Commercial claim', points: 5 }),
+                expect.objectContaining({ ruleId: 'corroborating-evidence', points: -10, evidence: 'descriptionKeywords includes "police-report"' })
+            ]));
+            // Breakdown-only labels leave the legacy riskFactors list as it was
+            expect(body.riskFactors).not.toContain('Moderate claim amount');
+            expect(body.riskFactors).not.toContain('Commercial claim');
+        });
+
         test('risk score is capped between 0 and 100', async () => {
             const promise = fraudDetection(context, baseRequest);
             jest.runAllTimers();
@@ -199,6 +272,17 @@ describe('FraudDetection Azure Function', () => {
             expect(['Proceed', 'Review', 'Investigate']).toContain(context.res.body.recommendation);
         });
 
+        test('recommendation follows the shared risk band', async () => {
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const { riskScore, riskBand, recommendation } = context.res.body;
+            const band = getRiskBand(riskScore);
+            expect(riskBand).toBe(band.label);
+            expect(recommendation).toBe(band.recommendation);
+        });
+
         test('returns valid recommendation for any score', async () => {
             const promise = fraudDetection(context, baseRequest);
             jest.runAllTimers();
@@ -249,6 +333,37 @@ describe('FraudDetection Azure Function', () => {
             expect(Array.isArray(context.res.body.riskFactors)).toBe(true);
         });
 
+        test('reports the rule set version that produced the score', async () => {
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.ruleSetVersion).toBe(require('./rulesets/default.json').version);
+        });
+
+        test('persists the assessment for later retrieval', async () => {
+            const store = createInMemoryAssessmentStore();
+            setAssessmentStore(store);
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const saved = await store.getById(context.res.body.assessmentId);
+            expect(saved).toMatchObject({ claimId: 'claim-001', riskScore: context.res.body.riskScore, input: baseRequest.body });
+        });
+
+        test('returns 500 when the assessment cannot be persisted', async () => {
+            context.log.error = jest.fn();
+            setAssessmentStore({ save: jest.fn().mockRejectedValue(new Error('disk full')) });
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(500);
+        });
+
         test('timestamp is valid ISO string', async () => {
             const promise = fraudDetection(context, baseRequest);
             jest.runAllTimers();
@@ -258,4 +373,521 @@ describe('FraudDetection Azure Function', () => {
             expect(timestamp.toISOString()).toBe(context.res.body.timestamp);
         });
     });
+
+    describe('Claim History', () => {
+        test('flags the third claim on a policy within two months', async () => {
+            baseRequest.body.priorClaims = [
+                { claimId: 'claim-prev-1', policyId: 'policy-001', incidentDate: new Date(Date.now() - 20 * 86400000).toISOString() },
+                { claimId: 'claim-prev-2', policyId: 'policy-001', incidentDate: new Date(Date.now() - 40 * 86400000).toISOString() }
+            ];
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.riskFactors).toContain('Multiple recent claims on policy');
+            const velocity = context.res.body.scoreBreakdown.find(item => item.ruleId === 'policy-claim-velocity');
+            expect(velocity.evidence).toContain('claim-prev-1, claim-prev-2');
+        });
+
+        test('looks up previously scored claims from the repository', async () => {
+            setClaimHistoryRepository(createInMemoryClaimHistoryRepository([
+                { claimId: 'other-claim', policyId: 'policy-999', location: baseRequest.body.location, incidentDate: '2024-01-01' }
+            ]));
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.riskFactors).toContain('Incident location reused across policies');
+        });
+
+        test('records scored claims for later lookups', async () => {
+            const repository = createInMemoryClaimHistoryRepository();
+            setClaimHistoryRepository(repository);
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(await repository.findByPolicy('policy-001')).toHaveLength(1);
+        });
+    });
+
+    describe('Multilingual Keywords', () => {
+        test('spanish descriptions trigger the same keyword factors', async () => {
+            baseRequest.body.description = 'El vehículo fue declarado pérdida total. Dos testigos presenciaron el choque.';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const ruleIds = context.res.body.scoreBreakdown.map(item => item.ruleId);
+            expect(context.res.body.descriptionLanguage).toEqual({ language: 'es', source: 'detected' });
+            expect(ruleIds).toEqual(expect.arrayContaining(['total-loss', 'corroborating-evidence']));
+        });
+
+        test('returns 400 for an unsupported descriptionLanguage', async () => {
+            baseRequest.body.descriptionLanguage = 'xx';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.errors[0]).toMatchObject({ field: 'descriptionLanguage', code: 'enum' });
+        });
+    });
+
+    describe('Claim-Type Profiles', () => {
+        const ruleIds = () => context.res.body.scoreBreakdown.map(item => item.ruleId);
+
+        test('auto claims use the auto profile', async () => {
+            baseRequest.body.location = 'Interstate 95 near exit 12';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.scoringProfile).toBe('Auto');
+            expect(ruleIds()).toContain('highway-location');
+        });
+
+        test('home claims score vacancy, recent policy changes and water damage', async () => {
+            baseRequest.body.claimType = 'Home';
+            baseRequest.body.propertyVacant = true;
+            baseRequest.body.description = 'Burst pipe in the upstairs bathroom caused water damage to the ceiling below.';
+            baseRequest.body.policy = { new_lastchangedate: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString() };
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.scoringProfile).toBe('Home');
+            expect(ruleIds()).toEqual(expect.arrayContaining(['vacant-property', 'recent-policy-change', 'water-damage']));
+            expect(context.res.body.riskFactors).toContain('Property vacant at time of loss');
+        });
+
+        test('home claims do not pick up auto factors', async () => {
+            baseRequest.body.claimType = 'Home';
+            baseRequest.body.amount = 35000;
+            baseRequest.body.location = '12 Old Highway Road, Windsor NSW 2756';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(ruleIds()).not.toContain('highway-location');
+            expect(ruleIds()).not.toContain('high-value-auto');
+        });
+
+        test('commercial claims score business interruption and inventory loss', async () => {
+            baseRequest.body.claimType = 'Commercial';
+            baseRequest.body.amount = 60000;
+            baseRequest.body.description = 'Break-in at the warehouse, most of the inventory taken and we were forced to close for a week.';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.scoringProfile).toBe('Commercial');
+            expect(ruleIds()).toEqual(expect.arrayContaining(['commercial-claim', 'business-interruption', 'inventory-loss']));
+            expect(ruleIds()).not.toContain('inventory-loss-moderate');
+        });
+
+        test('rejects a non-boolean propertyVacant', async () => {
+            baseRequest.body.propertyVacant = 'yes';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.errors[0]).toMatchObject({ field: 'propertyVacant', code: 'type' });
+        });
+    });
+
+    describe('Policy Context', () => {
+        test('flags claims filed days after the policy starts and close to the limit', async () => {
+            baseRequest.body.amount = 19000;
+            baseRequest.body.policy = {
+                new_coveragelimit: 20000,
+                new_deductibleamount: 500,
+                new_effectivestartdate: new Date(Date.now() - 5 * 86400000).toISOString()
+            };
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.riskFactors).toEqual(expect.arrayContaining([
+                'Incident shortly after policy start',
+                'Amount close to coverage limit'
+            ]));
+        });
+
+        test('an amount over the coverage limit scores at least as high as one close to it', async () => {
+            const coverageScore = async amount => {
+                const promise = fraudDetection(context, { headers: {}, body: { ...baseRequest.body, amount, policy: { new_coveragelimit: 20000 } } });
+                jest.runAllTimers();
+                await promise;
+                return context.res.body;
+            };
+
+            const near = await coverageScore(19000);
+            const exceeds = await coverageScore(21000);
+
+            expect(near.scoreBreakdown.map(item => item.ruleId)).toContain('near-coverage-limit');
+            expect(exceeds.scoreBreakdown.map(item => item.ruleId)).toContain('exceeds-coverage-limit');
+            const points = (body, ruleId) => body.scoreBreakdown.find(item => item.ruleId === ruleId).points;
+            expect(points(exceeds, 'exceeds-coverage-limit')).toBeGreaterThanOrEqual(points(near, 'near-coverage-limit'));
+            expect(exceeds.riskScore).toBeGreaterThanOrEqual(near.riskScore);
+        });
+
+        test('flags incidents before the policy start date', async () => {
+            baseRequest.body.policy = { effectiveStartDate: new Date(Date.now() + 10 * 86400000).toISOString() };
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.riskFactors).toContain('Incident before policy start');
+            expect(context.res.body.riskFactors).not.toContain('Incident shortly after policy start');
+        });
+
+        test('policy factors are skipped when no policy is sent', async () => {
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const ruleIds = context.res.body.scoreBreakdown.map(item => item.ruleId);
+            expect(ruleIds).not.toContain('new-policy');
+            expect(ruleIds).not.toContain('near-coverage-limit');
+        });
+    });
+
+    describe('Weather Corroboration', () => {
+        test('hail claim on a clear, dry day raises risk', async () => {
+            baseRequest.body.claimType = 'Home';
+            baseRequest.body.description = 'Hail damaged the roof tiles and skylight during the afternoon, photos attached.';
+            baseRequest.body.weather = { success: true, details: { weatherCode: 1, weatherDescription: 'Mainly Clear', precipitationMm: 0 } };
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const mismatch = context.res.body.scoreBreakdown.find(item => item.ruleId === 'weather-contradicts-peril');
+            expect(mismatch.points).toBe(20);
+            expect(mismatch.evidence).toContain('weatherDescription: Mainly Clear');
+        });
+
+        test('storm damage matching a thunderstorm code lowers risk', async () => {
+            baseRequest.body.claimType = 'Home';
+            baseRequest.body.description = 'Storm blew a tree onto the garage roof overnight, neighbours can confirm the damage.';
+            baseRequest.body.weather = { weatherCode: 95, precipitationMm: 22 };
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const corroborated = context.res.body.scoreBreakdown.find(item => item.ruleId === 'weather-corroborates-storm');
+            expect(corroborated.points).toBe(-10);
+            expect(context.res.body.riskFactors).not.toContain('Weather corroborates storm damage');
+        });
+    });
+
+    describe('Recycled Descriptions', () => {
+        test('flags a description reused from an earlier claim', async () => {
+            const first = fraudDetection(context, { ...baseRequest, body: { ...baseRequest.body, claimId: 'claim-earlier', policyId: 'policy-777' } });
+            jest.runAllTimers();
+            await first;
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.riskFactors).toContain('Description closely matches other claims');
+            expect(context.res.body.similarClaims).toEqual([expect.objectContaining({ claimId: 'claim-earlier', policyId: 'policy-777' })]);
+        });
+
+        test('rescoring the same claim does not match itself', async () => {
+            const first = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await first;
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.similarClaims).toEqual([]);
+        });
+    });
+
+    describe('Incident Timezone', () => {
+        test('evaluates weekend in the incident timezone', async () => {
+            baseRequest.body.incidentDate = '2024-03-15T11:30:00Z';
+            baseRequest.body.submissionDate = '2024-03-18T00:00:00Z';
+            baseRequest.body.incidentTimeZone = 'Australia/Sydney';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.riskFactors).not.toContain('Weekend incident');
+            expect(context.res.body.incidentTimeZone).toEqual({ timeZone: 'Australia/Sydney', source: 'request', localDate: '2024-03-15' });
+        });
+
+        test('derives the timezone from coordinates when none is given', async () => {
+            baseRequest.body.latitude = -33.87;
+            baseRequest.body.longitude = 151.21;
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.incidentTimeZone.source).toBe('coordinates');
+        });
+    });
+
+    describe('Scoring Strategies', () => {
+        test('uses the rule set by default', async () => {
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.scoringStrategy).toBe('rules');
+            expect(context.res.body.shadow).toBeUndefined();
+        });
+
+        test('scores with the model when requested', async () => {
+            baseRequest.body.scoringMode = 'model';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.scoringStrategy).toBe('model');
+            expect(context.res.body.modelVersion).toBe(require('./models/default-logistic.json').version);
+            expect(context.res.body.ruleSetVersion).toBeUndefined();
+        });
+
+        test('shadow mode returns the model score and delta alongside the rules score', async () => {
+            baseRequest.query = { scoringMode: 'shadow' };
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const body = context.res.body;
+            expect(body.scoringStrategy).toBe('rules');
+            expect(body.shadow.scoringStrategy).toBe('model');
+            expect(body.shadow.delta).toBe(body.shadow.riskScore - body.riskScore);
+        });
+
+        test('returns 400 for an unknown scoring mode', async () => {
+            baseRequest.body.scoringMode = 'neural';
+
+            const promise = fraudDetection(context, baseRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(400);
+        });
+    });
+
+    describe('Batch Scoring', () => {
+        let batchRequest;
+
+        beforeEach(() => {
+            batchRequest = {
+                headers: {},
+                params: { mode: 'batch' },
+                body: {
+                    claims: [
+                        { ...baseRequest.body, claimId: 'claim-A' },
+                        { ...baseRequest.body, claimId: 'claim-B', amount: 75000 }
+                    ]
+                }
+            };
+        });
+
+        test('scores every claim in the batch', async () => {
+            const promise = fraudDetection(context, batchRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(200);
+            expect(context.res.body.summary).toEqual({ total: 2, scored: 2, failed: 0 });
+            expect(context.res.body.results[1].claimId).toBe('claim-B');
+            expect(context.res.body.results[1].result.riskFactors).toContain('High claim amount');
+        });
+
+        test('reports invalid items without failing the batch', async () => {
+            const invalid = { ...baseRequest.body, claimId: 'claim-C' };
+            delete invalid.description;
+            batchRequest.body.claims.push(invalid, null);
+
+            const promise = fraudDetection(context, batchRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const { results, summary } = context.res.body;
+            expect(context.res.status).toBe(200);
+            expect(summary).toEqual({ total: 4, scored: 2, failed: 2 });
+            expect(results[2]).toEqual({
+                index: 2,
+                claimId: 'claim-C',
+                success: false,
+                error: 'Missing required fields',
+                missingFields: ['description'],
+                errors: [{ field: 'description', code: 'required', message: 'description is required' }]
+            });
+            expect(results[3].missingFields).toHaveLength(7);
+        });
+
+        test('accepts a bare array body', async () => {
+            batchRequest.body = batchRequest.body.claims;
+
+            const promise = fraudDetection(context, batchRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.body.summary.scored).toBe(2);
+        });
+
+        test('returns 400 for an empty batch', async () => {
+            batchRequest.body = { claims: [] };
+
+            const promise = fraudDetection(context, batchRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(400);
+        });
+
+        test('returns 400 when the batch is too large', async () => {
+            batchRequest.body = { claims: new Array(501).fill(baseRequest.body) };
+
+            const promise = fraudDetection(context, batchRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.error).toContain('maximum');
+        });
+
+        test('returns 404 for unknown routes', async () => {
+            batchRequest.params.mode = 'bulk';
+
+            const promise = fraudDetection(context, batchRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(404);
+        });
+    });
+
+    describe('Rule Set Simulation', () => {
+        let simulationRequest;
+        let candidateRuleSet;
+
+        beforeEach(() => {
+            candidateRuleSet = JSON.parse(JSON.stringify(require('./rulesets/default.json')));
+            candidateRuleSet.version = '2.0.0-candidate';
+            candidateRuleSet.rules.find(rule => rule.id === 'amount-high').weight = 50;
+
+            simulationRequest = {
+                headers: {},
+                params: { mode: 'simulate' },
+                body: {
+                    ruleSet: candidateRuleSet,
+                    claims: [
+                        { ...baseRequest.body, claimId: 'claim-A' },
+                        { ...baseRequest.body, claimId: 'claim-B', amount: 75000 }
+                    ]
+                }
+            };
+        });
+
+        test('diffs each claim against the active rule set', async () => {
+            const promise = fraudDetection(context, simulationRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const body = context.res.body;
+            expect(context.res.status).toBe(200);
+            expect(body.currentRuleSet.version).toBe(require('./rulesets/default.json').version);
+            expect(body.candidateRuleSet.version).toBe('2.0.0-candidate');
+            expect(body.summary).toEqual({ total: 2, scored: 2, failed: 0, changedScores: 1, changedRecommendations: 1 });
+            expect(body.results[0].delta).toBe(0);
+            expect(body.results[1].delta).toBe(25);
+            expect(body.results[1].changedRules).toEqual([{ ruleId: 'amount-high', currentPoints: 25, candidatePoints: 50 }]);
+            expect(body.distribution.candidate.count).toBe(2);
+            expect(body.recommendationChanges).toHaveLength(1);
+        });
+
+        test('does not record simulated claims or assessments', async () => {
+            const promise = fraudDetection(context, simulationRequest);
+            jest.runAllTimers();
+            await promise;
+
+            const scoringPromise = fraudDetection(context, { headers: {}, body: { ...baseRequest.body, claimId: 'claim-Z' } });
+            jest.runAllTimers();
+            await scoringPromise;
+
+            expect(context.res.body.riskFactors).not.toContain('Multiple recent claims on policy');
+            expect(context.res.body.similarClaims).toEqual([]);
+        });
+
+        test('accepts claims as CSV', async () => {
+            delete simulationRequest.body.claims;
+            simulationRequest.body.claimsCsv = [
+                'claimId,policyId,claimType,amount,location,incidentDate,description',
+                `claim-A,policy-001,Auto,75000,"123 Main Street, Sydney NSW 2000",${baseRequest.body.incidentDate},"Hit in car park, police report filed"`
+            ].join('\n');
+
+            const promise = fraudDetection(context, simulationRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(200);
+            expect(context.res.body.results[0].delta).toBe(25);
+        });
+
+        test('returns 400 for an invalid candidate rule set', async () => {
+            delete simulationRequest.body.ruleSet.version;
+
+            const promise = fraudDetection(context, simulationRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.error).toContain('Rule set version is required');
+        });
+
+        test.each([
+            ['a non-string keyword', ruleSet => { ruleSet.rules.push({ id: 'numeric-keyword', weight: 5, condition: { fact: 'description', op: 'containsAny', value: [1] } }); },
+                "Invalid candidate rule set: Rule numeric-keyword: value[0] for operator 'containsAny' must be a non-empty string"],
+            ['a null rule', ruleSet => { ruleSet.rules = [null]; }, 'Invalid candidate rule set: rules[0] must be an object']
+        ])('returns 400 naming the field for %s', async (label, breakRuleSet, message) => {
+            breakRuleSet(simulationRequest.body.ruleSet);
+
+            const promise = fraudDetection(context, simulationRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.error).toBe(message);
+        });
+
+        test('returns 400 when no claims are supplied', async () => {
+            simulationRequest.body.claims = [];
+
+            const promise = fraudDetection(context, simulationRequest);
+            jest.runAllTimers();
+            await promise;
+
+            expect(context.res.status).toBe(400);
+        });
+    });
 });
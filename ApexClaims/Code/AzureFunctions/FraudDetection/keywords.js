@@ -0,0 +1,92 @@
+const dictionaries = require('./keywords/default.json');
+
+// Language-aware keyword concepts for descriptions. Each language maps concept ids (witness,
+// police-report, total-loss, ...) to phrases; rules test the concept ids, not raw substrings.
+// Matching is on whole words after lowercasing and accent folding, and a word also matches
+// when it is the keyword plus one of the language's inflection suffixes, so "witnessed" and
+// "police reports" match while "Hailey" does not match "hail".
+
+const SUPPORTED_LANGUAGES = Object.keys(dictionaries.languages);
+const DEFAULT_LANGUAGE = dictionaries.defaultLanguage;
+const MIN_STEM_LENGTH = 3;
+
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+// Every form a token could be an inflection of, including the token itself
+function stems(token, inflections) {
+    const result = new Set([token]);
+    inflections.forEach(suffix => {
+        if (token.endsWith(suffix) && token.length - suffix.length >= MIN_STEM_LENGTH) result.add(token.slice(0, -suffix.length));
+    });
+    return result;
+}
+
+// Stopword votes; ties and descriptions without any stopwords fall back to the default language
+function detectLanguage(text) {
+    const tokens = tokenize(text);
+    let best = { language: DEFAULT_LANGUAGE, hits: 0 };
+    let total = 0;
+
+    SUPPORTED_LANGUAGES.forEach(language => {
+        const stopwords = new Set(dictionaries.languages[language].stopwords);
+        const hits = tokens.filter(token => stopwords.has(token)).length;
+        total += hits;
+        if (hits > best.hits) best = { language, hits };
+    });
+
+    if (best.hits === 0) return { language: DEFAULT_LANGUAGE, confidence: 0 };
+    return { language: best.language, confidence: Math.round((best.hits / total) * 100) / 100 };
+}
+
+function resolveLanguage(text, requested) {
+    if (SUPPORTED_LANGUAGES.includes(requested)) return { language: requested, source: 'request', confidence: 1 };
+    const detected = detectLanguage(text);
+    return { ...detected, source: detected.confidence > 0 ? 'detected' : 'default' };
+}
+
+function containsPhrase(tokenStems, phraseTokens) {
+    for (let start = 0; start <= tokenStems.length - phraseTokens.length; start++) {
+        if (phraseTokens.every((word, offset) => tokenStems[start + offset].has(word))) return true;
+    }
+    return false;
+}
+
+// The default language's dictionary is always searched too: descriptions often mix in English terms
+function findConcepts(text, language) {
+    const tokens = tokenize(text);
+    const languages = [...new Set([language, DEFAULT_LANGUAGE])].filter(code => dictionaries.languages[code]);
+    const concepts = new Set();
+
+    languages.forEach(code => {
+        const { inflections, concepts: phrasesByConcept } = dictionaries.languages[code];
+        const tokenStems = tokens.map(token => stems(token, inflections));
+        Object.keys(phrasesByConcept).forEach(concept => {
+            if (concepts.has(concept)) return;
+            if (phrasesByConcept[concept].some(phrase => containsPhrase(tokenStems, tokenize(phrase)))) concepts.add(concept);
+        });
+    });
+
+    return [...concepts];
+}
+
+function analyzeDescription(description, requestedLanguage) {
+    const { language, source, confidence } = resolveLanguage(description, requestedLanguage);
+    return { language, source, confidence, concepts: findConcepts(description, language) };
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    KEYWORDS_VERSION: dictionaries.version,
+    tokenize,
+    detectLanguage,
+    findConcepts,
+    analyzeDescription
+};
@@ -0,0 +1,36 @@
+const { tokenize, detectLanguage, findConcepts, analyzeDescription } = require('./keywords');
+
+describe('FraudDetection keyword detection', () => {
+    test('folds case, accents and punctuation into words', () => {
+        expect(tokenize('Daños por AGUA, en la cocina!')).toEqual(['danos', 'por', 'agua', 'en', 'la', 'cocina']);
+    });
+
+    test('detects the description language from stopwords', () => {
+        expect(detectLanguage('El coche fue golpeado por un camión mientras estaba en el semáforo').language).toBe('es');
+        expect(detectLanguage('La voiture a été heurtée pendant la nuit dans le parking').language).toBe('fr');
+        expect(detectLanguage('The car was hit in the parking lot').language).toBe('en');
+        expect(detectLanguage('Hail')).toEqual({ language: 'en', confidence: 0 });
+    });
+
+    test('matches inflected forms at word boundaries', () => {
+        expect(findConcepts('The accident was witnessed by two people', 'en')).toEqual(['witness']);
+        expect(findConcepts('Both police reports are attached', 'en')).toEqual(['police-report']);
+        expect(findConcepts('Hailey reported a stockpile issue', 'en')).toEqual([]);
+        expect(findConcepts('Basement flooding after a leaking pipe', 'en')).toEqual(expect.arrayContaining(['flood', 'water-damage']));
+    });
+
+    test('uses the dictionary for the description language', () => {
+        expect(findConcepts('Hay dos testigos y una denuncia policial', 'es')).toEqual(['witness', 'police-report']);
+        expect(findConcepts('Le véhicule est une perte totale, un témoin était présent', 'fr')).toEqual(['total-loss', 'witness']);
+    });
+
+    test('still finds English terms in other languages', () => {
+        expect(findConcepts('El coche quedó totaled según el taller', 'es')).toEqual(['total-loss']);
+    });
+
+    test('an explicit language overrides detection', () => {
+        const result = analyzeDescription('granizo', 'es');
+        expect(result).toEqual({ language: 'es', source: 'request', confidence: 1, concepts: ['hail'] });
+        expect(analyzeDescription('granizo').source).toBe('default');
+    });
+});
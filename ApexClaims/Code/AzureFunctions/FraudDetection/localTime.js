@@ -0,0 +1,72 @@
+// Incident-local calendar helpers so weekend and reporting-delay factors use the incident's
+// own timezone rather than the Function host's (UTC in Azure).
+// Timezone precedence: incidentTimeZone (IANA name) > offset derived from longitude > UTC.
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Nautical-zone approximation: ignores DST and political borders, but gets the calendar day
+// right for the common late-evening case. Etc/GMT signs are inverted (Etc/GMT-10 is UTC+10).
+function timeZoneFromLongitude(longitude) {
+    const lon = parseFloat(longitude);
+    if (isNaN(lon) || lon < -180 || lon > 180) return null;
+    const offsetHours = Math.max(-12, Math.min(12, Math.round(lon / 15)));
+    if (offsetHours === 0) return 'Etc/GMT';
+    return offsetHours > 0 ? `Etc/GMT-${offsetHours}` : `Etc/GMT+${-offsetHours}`;
+}
+
+function resolveTimeZone(claim) {
+    if (isValidTimeZone(claim.incidentTimeZone)) return { timeZone: claim.incidentTimeZone, source: 'request' };
+
+    const derived = claim.latitude !== undefined && claim.latitude !== null ? timeZoneFromLongitude(claim.longitude) : null;
+    if (derived) return { timeZone: derived, source: 'coordinates' };
+
+    return { timeZone: 'UTC', source: 'default' };
+}
+
+// Date-only values (YYYY-MM-DD) are already local calendar dates and are not shifted
+function getLocalDate(value, timeZone) {
+    if (typeof value === 'string' && DATE_ONLY_PATTERN.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        return { year, month, day, weekday };
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'short' })
+        .formatToParts(date)
+        .forEach(part => { parts[part.type] = part.value; });
+
+    return { year: Number(parts.year), month: Number(parts.month), day: Number(parts.day), weekday: WEEKDAYS[parts.weekday] };
+}
+
+function calendarDaysBetween(from, to) {
+    return Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / MS_PER_DAY);
+}
+
+function formatLocalDate(local) {
+    return `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+}
+
+module.exports = {
+    isValidTimeZone,
+    timeZoneFromLongitude,
+    resolveTimeZone,
+    getLocalDate,
+    calendarDaysBetween,
+    formatLocalDate
+};
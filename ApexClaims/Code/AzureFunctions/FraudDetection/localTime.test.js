@@ -0,0 +1,57 @@
+const { isValidTimeZone, timeZoneFromLongitude, resolveTimeZone, getLocalDate, calendarDaysBetween } = require('./localTime');
+const { buildFacts } = require('./ruleEngine');
+
+describe('FraudDetection local time', () => {
+    test('validates IANA timezone names', () => {
+        expect(isValidTimeZone('Australia/Sydney')).toBe(true);
+        expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+        expect(isValidTimeZone('')).toBe(false);
+    });
+
+    test('derives a fixed-offset zone from longitude', () => {
+        expect(timeZoneFromLongitude(151.2)).toBe('Etc/GMT-10');
+        expect(timeZoneFromLongitude(-74)).toBe('Etc/GMT+5');
+        expect(timeZoneFromLongitude(2)).toBe('Etc/GMT');
+        expect(timeZoneFromLongitude('abc')).toBeNull();
+    });
+
+    test('resolveTimeZone prefers the request, then coordinates, then UTC', () => {
+        expect(resolveTimeZone({ incidentTimeZone: 'Australia/Sydney', latitude: 40, longitude: -74 })).toEqual({ timeZone: 'Australia/Sydney', source: 'request' });
+        expect(resolveTimeZone({ incidentTimeZone: 'bogus', latitude: -33.9, longitude: 151.2 })).toEqual({ timeZone: 'Etc/GMT-10', source: 'coordinates' });
+        expect(resolveTimeZone({})).toEqual({ timeZone: 'UTC', source: 'default' });
+    });
+
+    test('converts instants to the local calendar date', () => {
+        // Sydney is UTC+11 in March: 12:30Z is 23:30 Friday local, 14:30Z is already Saturday
+        expect(getLocalDate('2024-03-15T12:30:00Z', 'Australia/Sydney')).toEqual({ year: 2024, month: 3, day: 15, weekday: 5 });
+        expect(getLocalDate('2024-03-15T14:30:00Z', 'Australia/Sydney')).toEqual({ year: 2024, month: 3, day: 16, weekday: 6 });
+    });
+
+    test('keeps date-only values on their calendar day', () => {
+        expect(getLocalDate('2024-03-16', 'America/Los_Angeles')).toEqual({ year: 2024, month: 3, day: 16, weekday: 6 });
+    });
+
+    test('counts calendar days rather than elapsed hours', () => {
+        expect(calendarDaysBetween({ year: 2024, month: 2, day: 28 }, { year: 2024, month: 3, day: 1 })).toBe(2);
+    });
+
+    describe('buildFacts', () => {
+        test('late Friday in Sydney is not a weekend incident', () => {
+            const facts = buildFacts({ incidentDate: '2024-03-15T11:30:00Z', submissionDate: '2024-03-18T00:00:00Z', incidentTimeZone: 'Australia/Sydney' });
+            expect(facts.incidentLocalDate).toBe('2024-03-15');
+            expect(facts.isWeekend).toBe(false);
+        });
+
+        test('late Friday in Los Angeles is Saturday in UTC but scored as Friday', () => {
+            const facts = buildFacts({ incidentDate: '2024-03-16T06:00:00Z', submissionDate: '2024-03-16T06:30:00Z', incidentTimeZone: 'America/Los_Angeles' });
+            expect(facts.dayOfWeek).toBe(5);
+            expect(facts.isWeekend).toBe(false);
+            expect(facts.daysSinceIncident).toBe(0);
+        });
+
+        test('reporting delay counts local calendar days', () => {
+            const facts = buildFacts({ incidentDate: '2024-03-15T12:30:00Z', submissionDate: '2024-03-15T13:30:00Z', incidentTimeZone: 'Australia/Sydney' });
+            expect(facts.daysSinceIncident).toBe(1);
+        });
+    });
+});
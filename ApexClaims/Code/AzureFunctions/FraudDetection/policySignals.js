@@ -0,0 +1,69 @@
+// Optional policy context. Accepts either camelCase fields or the Dataverse column names the portal
+// already loads in validatePolicy (new_coveragelimit, new_deductibleamount, new_effectivestartdate,
+// new_lastchangedate).
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+function pick(policy, camelName, dataverseName) {
+    if (policy[camelName] !== undefined && policy[camelName] !== null) return policy[camelName];
+    if (policy[dataverseName] !== undefined && policy[dataverseName] !== null) return policy[dataverseName];
+    return null;
+}
+
+function toPositiveNumber(value) {
+    const number = Number(value);
+    return value !== null && !isNaN(number) && number > 0 ? number : null;
+}
+
+function toIsoDate(value) {
+    const time = value ? new Date(value).getTime() : NaN;
+    return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function normalizePolicy(policy) {
+    if (!policy || typeof policy !== 'object') return null;
+
+    return {
+        coverageLimit: toPositiveNumber(pick(policy, 'coverageLimit', 'new_coveragelimit')),
+        deductibleAmount: toPositiveNumber(pick(policy, 'deductibleAmount', 'new_deductibleamount')),
+        effectiveStartDate: toIsoDate(pick(policy, 'effectiveStartDate', 'new_effectivestartdate')),
+        lastChangeDate: toIsoDate(pick(policy, 'lastChangeDate', 'new_lastchangedate'))
+    };
+}
+
+function daysBetween(fromIso, toValue) {
+    const toTime = new Date(toValue).getTime();
+    return isNaN(toTime) ? undefined : Math.floor((toTime - new Date(fromIso).getTime()) / MS_PER_DAY);
+}
+
+// Facts stay undefined when the policy field is missing so policy rules simply do not fire
+function buildPolicyFacts(claim) {
+    const policy = normalizePolicy(claim.policy);
+    if (!policy) return {};
+
+    const amount = Number(claim.amount);
+    const facts = {};
+
+    if (policy.effectiveStartDate) {
+        const days = daysBetween(policy.effectiveStartDate, claim.incidentDate);
+        if (days !== undefined) facts.daysSincePolicyStart = days;
+    }
+    // Negative when the change came after the incident, which the profile rules ignore
+    if (policy.lastChangeDate) {
+        const days = daysBetween(policy.lastChangeDate, claim.incidentDate);
+        if (days !== undefined) facts.daysSincePolicyChange = days;
+    }
+    if (policy.coverageLimit && !isNaN(amount)) {
+        facts.coverageUtilization = Math.round((amount / policy.coverageLimit) * 1000) / 1000;
+    }
+    if (policy.deductibleAmount && !isNaN(amount)) {
+        facts.deductibleMultiple = Math.round((amount / policy.deductibleAmount) * 1000) / 1000;
+    }
+
+    return facts;
+}
+
+module.exports = {
+    normalizePolicy,
+    buildPolicyFacts
+};
@@ -0,0 +1,38 @@
+const { normalizePolicy, buildPolicyFacts } = require('./policySignals');
+
+describe('FraudDetection policy signals', () => {
+    const claim = { amount: 9500, incidentDate: '2024-03-10T12:00:00Z' };
+
+    test('accepts Dataverse column names', () => {
+        expect(normalizePolicy({ new_coveragelimit: 10000, new_deductibleamount: 500, new_effectivestartdate: '2024-03-01' })).toEqual({
+            coverageLimit: 10000,
+            deductibleAmount: 500,
+            effectiveStartDate: '2024-03-01T00:00:00.000Z',
+            lastChangeDate: null
+        });
+    });
+
+    test('ignores missing or non-positive values', () => {
+        expect(normalizePolicy({ coverageLimit: 0, deductibleAmount: 'abc', effectiveStartDate: 'not a date' })).toEqual({
+            coverageLimit: null,
+            deductibleAmount: null,
+            effectiveStartDate: null,
+            lastChangeDate: null
+        });
+        expect(normalizePolicy(null)).toBeNull();
+    });
+
+    test('derives policy age, coverage utilisation and deductible multiple', () => {
+        const facts = buildPolicyFacts({ ...claim, policy: { coverageLimit: 10000, deductibleAmount: 9000, effectiveStartDate: '2024-03-01T00:00:00Z' } });
+        expect(facts).toEqual({ daysSincePolicyStart: 9, coverageUtilization: 0.95, deductibleMultiple: 1.056 });
+    });
+
+    test('derives days since the last policy change', () => {
+        expect(buildPolicyFacts({ ...claim, policy: { new_lastchangedate: '2024-02-20T00:00:00Z' } })).toEqual({ daysSincePolicyChange: 19 });
+        expect(buildPolicyFacts({ ...claim, policy: { lastChangeDate: '2024-03-15' } })).toEqual({ daysSincePolicyChange: -5 });
+    });
+
+    test('returns no facts without a policy', () => {
+        expect(buildPolicyFacts(claim)).toEqual({});
+    });
+});
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveTimeZone, getLocalDate, calendarDaysBetween, formatLocalDate } = require('./localTime');
+const { analyzeDescription } = require('./keywords');
+
+// Rule sets are plain JSON so underwriting can retune weights without a deploy.
+// Precedence: FRAUD_RULESET (inline JSON app setting) > FRAUD_RULESET_PATH > bundled default.
+const DEFAULT_RULESET_PATH = path.join(__dirname, 'rulesets', 'default.json');
+
+const OPERATORS = {
+    eq: (actual, expected) => actual === expected,
+    ne: (actual, expected) => actual !== expected,
+    gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+    gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+    lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+    lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+    in: (actual, expected) => expected.includes(actual),
+    containsAny: (actual, expected) => typeof actual === 'string' && expected.some(keyword => actual.toLowerCase().includes(keyword.toLowerCase())),
+    includesAny: (actual, expected) => Array.isArray(actual) && expected.some(item => actual.includes(item))
+};
+const ARRAY_OPERATORS = ['in', 'containsAny', 'includesAny'];
+
+let activeRuleSet = null;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Element types each operator relies on at scoring time; a rule set that passes validation never throws in evaluateRules
+function validateValue(condition, where) {
+    const { op, value } = condition;
+    if (ARRAY_OPERATORS.includes(op)) {
+        if (!Array.isArray(value) || value.length === 0) throw new Error(`${where}: operator '${op}' requires a non-empty array value`);
+        const scalar = item => ['string', 'number', 'boolean'].includes(typeof item);
+        const valid = op === 'in' ? scalar : item => typeof item === 'string' && item !== '';
+        const bad = value.findIndex(item => !valid(item));
+        if (bad !== -1) {
+            const expected = op === 'in' ? 'a string, number or boolean' : 'a non-empty string';
+            throw new Error(`${where}: value[${bad}] for operator '${op}' must be ${expected}`);
+        }
+    } else if (['gt', 'gte', 'lt', 'lte'].includes(op) && (typeof value !== 'number' || isNaN(value))) {
+        throw new Error(`${where}: operator '${op}' requires a number value`);
+    }
+}
+
+function validateCondition(condition, where) {
+    if (!isPlainObject(condition)) throw new Error(`${where}: condition must be an object`);
+    if (condition.all !== undefined || condition.any !== undefined) {
+        const key = condition.all !== undefined ? 'all' : 'any';
+        const children = condition[key];
+        if (!Array.isArray(children) || children.length === 0) throw new Error(`${where}: all/any must be a non-empty array`);
+        children.forEach((child, index) => validateCondition(child, `${where} ${key}[${index}]`));
+        return;
+    }
+    if (typeof condition.fact !== 'string') throw new Error(`${where}: condition fact is required`);
+    if (!Object.prototype.hasOwnProperty.call(OPERATORS, condition.op)) throw new Error(`${where}: unknown operator '${condition.op}'`);
+    validateValue(condition, where);
+}
+
+function validateStringArray(value, label) {
+    if (value === undefined) return;
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) throw new Error(`${label} must be an array of strings`);
+}
+
+function validateRuleSet(ruleSet) {
+    if (!isPlainObject(ruleSet)) throw new Error('Rule set must be an object');
+    if (typeof ruleSet.version !== 'string' || ruleSet.version.trim() === '') throw new Error('Rule set version is required');
+    if (typeof ruleSet.baseScore !== 'number') throw new Error('Rule set baseScore must be a number');
+    if (!Array.isArray(ruleSet.rules)) throw new Error('Rule set rules must be an array');
+
+    if (ruleSet.profiles !== undefined && !isPlainObject(ruleSet.profiles)) {
+        throw new Error('Rule set profiles must be an object keyed by claimType');
+    }
+
+    // Ids are unique across the shared rules and every profile so breakdowns stay unambiguous
+    const seenIds = new Set();
+    const validateRule = (rule, position) => {
+        if (!isPlainObject(rule)) throw new Error(`${position} must be an object`);
+        if (typeof rule.id !== 'string' || rule.id === '') throw new Error(`Every rule needs an id (${position})`);
+        if (seenIds.has(rule.id)) throw new Error(`Duplicate rule id: ${rule.id}`);
+        seenIds.add(rule.id);
+        const where = `Rule ${rule.id}`;
+        if (typeof rule.weight !== 'number' || isNaN(rule.weight)) throw new Error(`${where}: weight must be a number`);
+        if (rule.group !== undefined && typeof rule.group !== 'string') throw new Error(`${where}: group must be a string`);
+        if (rule.factor !== undefined && typeof rule.factor !== 'string') throw new Error(`${where}: factor must be a string`);
+        if (rule.label !== undefined && typeof rule.label !== 'string') throw new Error(`${where}: label must be a string`);
+        validateStringArray(rule.claimTypes, `${where}: claimTypes`);
+        validateStringArray(rule.evidenceFacts, `${where}: evidenceFacts`);
+        if (rule.condition !== undefined) validateCondition(rule.condition, where);
+    };
+
+    ruleSet.rules.forEach((rule, index) => validateRule(rule, `rules[${index}]`));
+    Object.keys(ruleSet.profiles || {}).forEach(claimType => {
+        const profile = ruleSet.profiles[claimType];
+        if (!isPlainObject(profile) || !Array.isArray(profile.rules)) throw new Error(`Profile ${claimType}: rules must be an array`);
+        profile.rules.forEach((rule, index) => validateRule(rule, `profiles.${claimType}.rules[${index}]`));
+    });
+
+    return ruleSet;
+}
+
+function loadRuleSet(env) {
+    const settings = env || process.env;
+    let raw;
+    if (settings.FRAUD_RULESET) {
+        raw = settings.FRAUD_RULESET;
+    } else {
+        raw = fs.readFileSync(settings.FRAUD_RULESET_PATH || DEFAULT_RULESET_PATH, 'utf8');
+    }
+    return validateRuleSet(JSON.parse(raw));
+}
+
+// Loaded once per host instance; app setting changes restart the host anyway
+function getActiveRuleSet() {
+    if (!activeRuleSet) activeRuleSet = loadRuleSet(process.env);
+    return activeRuleSet;
+}
+
+function resetActiveRuleSet() {
+    activeRuleSet = null;
+}
+
+// Calendar facts are evaluated in the incident's local timezone (see localTime.js);
+// descriptionKeywords holds the keyword concepts found in the description's language (see keywords.js)
+function buildFacts(claim) {
+    const { timeZone, source } = resolveTimeZone(claim);
+    const incidentLocal = getLocalDate(claim.incidentDate, timeZone);
+    const referenceLocal = getLocalDate(claim.submissionDate ? claim.submissionDate : new Date(), timeZone);
+    const dayOfWeek = incidentLocal ? incidentLocal.weekday : undefined;
+    const location = claim.location || '';
+    const description = claim.description || '';
+    const keywords = analyzeDescription(description, claim.descriptionLanguage);
+
+    return {
+        claimType: claim.claimType,
+        amount: Number(claim.amount),
+        location,
+        locationLength: location.length,
+        description,
+        descriptionLength: description.length,
+        descriptionLanguage: keywords.language,
+        descriptionLanguageSource: keywords.source,
+        descriptionKeywords: keywords.concepts,
+        propertyVacant: typeof claim.propertyVacant === 'boolean' ? claim.propertyVacant : undefined,
+        incidentTimeZone: timeZone,
+        incidentTimeZoneSource: source,
+        incidentLocalDate: incidentLocal ? formatLocalDate(incidentLocal) : undefined,
+        dayOfWeek,
+        isWeekend: dayOfWeek === 0 || dayOfWeek === 6,
+        daysSinceIncident: incidentLocal && referenceLocal ? calendarDaysBetween(incidentLocal, referenceLocal) : undefined
+    };
+}
+
+const OPERATOR_SYMBOLS = { eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=', in: 'in' };
+
+function describeMatch(condition, actual) {
+    if (condition.op === 'containsAny') {
+        const lower = actual.toLowerCase();
+        const keyword = condition.value.find(candidate => lower.includes(candidate.toLowerCase()));
+        return `${condition.fact} contains "${keyword}"`;
+    }
+    if (condition.op === 'includesAny') {
+        return `${condition.fact} includes "${condition.value.find(item => actual.includes(item))}"`;
+    }
+    const expected = Array.isArray(condition.value) ? `[${condition.value.join(', ')}]` : condition.value;
+    return `${condition.fact} ${actual} ${OPERATOR_SYMBOLS[condition.op]} ${expected}`;
+}
+
+// Returns the evidence strings that satisfied the condition, or null when it did not match
+function matchCondition(condition, facts) {
+    if (!condition) return [];
+    if (condition.all) {
+        const evidence = [];
+        for (const child of condition.all) {
+            const childEvidence = matchCondition(child, facts);
+            if (!childEvidence) return null;
+            evidence.push(...childEvidence);
+        }
+        return evidence;
+    }
+    if (condition.any) {
+        for (const child of condition.any) {
+            const childEvidence = matchCondition(child, facts);
+            if (childEvidence) return childEvidence;
+        }
+        return null;
+    }
+
+    const actual = facts[condition.fact];
+    if (actual === undefined || actual === null) return null;
+    return OPERATORS[condition.op](actual, condition.value) ? [describeMatch(condition, actual)] : null;
+}
+
+function evaluateCondition(condition, facts) {
+    return matchCondition(condition, facts) !== null;
+}
+
+function ruleApplies(rule, facts) {
+    return !rule.claimTypes || rule.claimTypes.includes(facts.claimType);
+}
+
+// Claim-type profile (Auto, Home, Commercial) whose rules run after the shared rules, or null
+function selectProfile(ruleSet, claimType) {
+    const profiles = ruleSet.profiles || {};
+    return Object.prototype.hasOwnProperty.call(profiles, claimType) ? { name: claimType, rules: profiles[claimType].rules } : null;
+}
+
+// Rules sharing a group are mutually exclusive: the first match in file order wins.
+// baseScore + sum(contributions[].points) == rawScore; riskScore is rawScore clamped to 0-100.
+function evaluateRules(ruleSet, facts) {
+    const profile = selectProfile(ruleSet, facts.claimType);
+    const profileRules = new Set(profile ? profile.rules : []);
+    const matchedGroups = new Set();
+    const matchedRules = [];
+    const contributions = [];
+
+    ruleSet.rules.concat(profile ? profile.rules : []).forEach(rule => {
+        if (rule.group && matchedGroups.has(rule.group)) return;
+        if (!ruleApplies(rule, facts)) return;
+        const evidence = matchCondition(rule.condition, facts);
+        if (!evidence) return;
+        if (rule.group) matchedGroups.add(rule.group);
+        if ((rule.claimTypes || profileRules.has(rule)) && evidence.length === 0) evidence.push(`claimType ${facts.claimType}`);
+        (rule.evidenceFacts || []).forEach(fact => {
+            const value = facts[fact];
+            if (value !== undefined && value !== null) evidence.push(`${fact}: ${Array.isArray(value) ? value.join(', ') : value}`);
+        });
+
+        matchedRules.push(rule);
+        contributions.push({
+            ruleId: rule.id,
+            // label names a rule in the breakdown without adding it to the legacy riskFactors list
+            label: rule.label || rule.factor || rule.id,
+            points: rule.weight,
+            evidence: evidence.join('; ')
+        });
+    });
+
+    const rawScore = contributions.reduce((total, contribution) => total + contribution.points, ruleSet.baseScore);
+
+    return {
+        riskScore: Math.max(0, Math.min(100, rawScore)),
+        rawScore,
+        baseScore: ruleSet.baseScore,
+        riskFactors: matchedRules.filter(rule => rule.factor && rule.weight > 0).map(rule => rule.factor),
+        contributions,
+        matchedRules,
+        profile: profile ? profile.name : null
+    };
+}
+
+module.exports = {
+    DEFAULT_RULESET_PATH,
+    validateRuleSet,
+    loadRuleSet,
+    getActiveRuleSet,
+    resetActiveRuleSet,
+    buildFacts,
+    selectProfile,
+    matchCondition,
+    evaluateCondition,
+    evaluateRules
+};
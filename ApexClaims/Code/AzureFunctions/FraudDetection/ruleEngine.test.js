@@ -0,0 +1,160 @@
+const path = require('path');
+const { loadRuleSet, validateRuleSet, evaluateRules, buildFacts, DEFAULT_RULESET_PATH } = require('./ruleEngine');
+
+describe('FraudDetection rule engine', () => {
+    const ruleSet = {
+        version: 'test-1',
+        baseScore: 10,
+        rules: [
+            { id: 'big', factor: 'Big', group: 'amount', weight: 20, condition: { fact: 'amount', op: 'gt', value: 1000 } },
+            { id: 'medium', factor: 'Medium', group: 'amount', weight: 10, condition: { fact: 'amount', op: 'gt', value: 100 } },
+            { id: 'auto-only', factor: 'Auto only', claimTypes: ['Auto'], weight: 5 },
+            { id: 'keyword', weight: -30, condition: { fact: 'description', op: 'containsAny', value: ['Witness'] } }
+        ]
+    };
+
+    describe('loadRuleSet', () => {
+        test('loads the bundled default rule set', () => {
+            const loaded = loadRuleSet({});
+            expect(loaded.version).toBeDefined();
+            expect(loaded.rules.length).toBeGreaterThan(0);
+        });
+
+        test('prefers inline FRAUD_RULESET app setting', () => {
+            const loaded = loadRuleSet({ FRAUD_RULESET: JSON.stringify(ruleSet), FRAUD_RULESET_PATH: DEFAULT_RULESET_PATH });
+            expect(loaded.version).toBe('test-1');
+        });
+
+        test('loads from FRAUD_RULESET_PATH', () => {
+            const loaded = loadRuleSet({ FRAUD_RULESET_PATH: path.join(__dirname, 'rulesets', 'default.json') });
+            expect(loaded.name).toBe('apex-default');
+        });
+
+        test('rejects malformed rule sets', () => {
+            expect(() => loadRuleSet({ FRAUD_RULESET: '{"baseScore": 1, "rules": []}' })).toThrow('version');
+            expect(() => validateRuleSet({ version: '1', baseScore: 0, rules: [{ id: 'a', weight: 1 }, { id: 'a', weight: 2 }] })).toThrow('Duplicate');
+            expect(() => validateRuleSet({ version: '1', baseScore: 0, rules: [{ id: 'a', weight: 1, condition: { fact: 'x', op: 'like', value: 1 } }] })).toThrow('unknown operator');
+        });
+
+        test('rejects rules and conditions that are not objects', () => {
+            const base = { version: '1', baseScore: 0 };
+            expect(() => validateRuleSet(null)).toThrow('Rule set must be an object');
+            expect(() => validateRuleSet({ ...base, rules: [null] })).toThrow('rules[0] must be an object');
+            expect(() => validateRuleSet({ ...base, rules: [{ id: 'a', weight: 1 }, 'b'] })).toThrow('rules[1] must be an object');
+            expect(() => validateRuleSet({ ...base, rules: [{ id: 'a', weight: 1, condition: null }] })).toThrow('Rule a: condition must be an object');
+            expect(() => validateRuleSet({ ...base, rules: [{ id: 'a', weight: 1, condition: { all: [{ fact: 'x', op: 'eq', value: 1 }, 7] } }] }))
+                .toThrow('Rule a all[1]: condition must be an object');
+            expect(() => validateRuleSet({ ...base, rules: [], profiles: { Home: { rules: [null] } } })).toThrow('profiles.Home.rules[0] must be an object');
+        });
+
+        test('rejects operator values that would fail at scoring time', () => {
+            const withCondition = condition => ({ version: '1', baseScore: 0, rules: [{ id: 'a', weight: 1, condition }] });
+            expect(() => validateRuleSet(withCondition({ fact: 'description', op: 'containsAny', value: [1] })))
+                .toThrow("Rule a: value[0] for operator 'containsAny' must be a non-empty string");
+            expect(() => validateRuleSet(withCondition({ fact: 'descriptionKeywords', op: 'includesAny', value: ['witness', null] })))
+                .toThrow("value[1] for operator 'includesAny'");
+            expect(() => validateRuleSet(withCondition({ fact: 'claimType', op: 'in', value: [{}] }))).toThrow("value[0] for operator 'in'");
+            expect(() => validateRuleSet(withCondition({ fact: 'amount', op: 'gt', value: '1000' }))).toThrow("operator 'gt' requires a number value");
+            expect(() => validateRuleSet({ version: '1', baseScore: 0, rules: [{ id: 'a', weight: 1, claimTypes: [1] }] })).toThrow('Rule a: claimTypes must be an array of strings');
+            expect(() => validateRuleSet(withCondition({ fact: 'claimType', op: 'in', value: ['Auto', 'Home'] }))).not.toThrow();
+        });
+    });
+
+    describe('evaluateRules', () => {
+        test('only the first matching rule in a group applies', () => {
+            const result = evaluateRules(ruleSet, { amount: 5000, claimType: 'Home' });
+            expect(result.riskFactors).toEqual(['Big']);
+            expect(result.riskScore).toBe(30);
+        });
+
+        test('claimTypes restricts where a rule applies', () => {
+            expect(evaluateRules(ruleSet, { amount: 0, claimType: 'Auto' }).riskFactors).toEqual(['Auto only']);
+            expect(evaluateRules(ruleSet, { amount: 0, claimType: 'Home' }).riskFactors).toEqual([]);
+        });
+
+        test('keyword matching is case-insensitive and score is clamped at 0', () => {
+            const result = evaluateRules(ruleSet, { amount: 0, claimType: 'Home', description: 'a witness saw it' });
+            expect(result.riskScore).toBe(0);
+        });
+
+        test('contributions carry rule id, label, points and evidence', () => {
+            const result = evaluateRules(ruleSet, { amount: 5000, claimType: 'Auto', description: 'Witness statement attached' });
+            expect(result.contributions).toEqual([
+                { ruleId: 'big', label: 'Big', points: 20, evidence: 'amount 5000 > 1000' },
+                { ruleId: 'auto-only', label: 'Auto only', points: 5, evidence: 'claimType Auto' },
+                { ruleId: 'keyword', label: 'keyword', points: -30, evidence: 'description contains "Witness"' }
+            ]);
+            expect(result.rawScore).toBe(5);
+        });
+
+        test('a label names the contribution without adding a risk factor', () => {
+            const labelled = { version: '1', baseScore: 0, rules: [{ id: 'quiet', label: 'Quiet rule', weight: 5 }] };
+            const result = evaluateRules(labelled, { amount: 0, claimType: 'Auto', description: '' });
+            expect(result.contributions).toEqual([{ ruleId: 'quiet', label: 'Quiet rule', points: 5, evidence: '' }]);
+            expect(result.riskFactors).toEqual([]);
+        });
+
+        test('negative contributions are not listed as risk factors', () => {
+            const result = evaluateRules(ruleSet, { amount: 0, claimType: 'Home', description: 'witness' });
+            expect(result.riskFactors).toEqual([]);
+            expect(result.contributions).toHaveLength(1);
+        });
+
+        test('includesAny matches keyword concepts', () => {
+            const conceptRules = { version: '1', baseScore: 0, rules: [{ id: 'seen', weight: -5, condition: { fact: 'descriptionKeywords', op: 'includesAny', value: ['witness'] } }] };
+            expect(evaluateRules(conceptRules, { descriptionKeywords: ['hail', 'witness'] }).contributions[0].evidence).toBe('descriptionKeywords includes "witness"');
+            expect(evaluateRules(conceptRules, { descriptionKeywords: [] }).contributions).toEqual([]);
+            expect(() => validateRuleSet({ ...conceptRules, rules: [{ id: 'a', weight: 1, condition: { fact: 'x', op: 'includesAny', value: 'witness' } }] })).toThrow('array');
+        });
+
+        test('missing facts never match', () => {
+            expect(evaluateRules(ruleSet, { claimType: 'Home' }).matchedRules).toEqual([]);
+        });
+    });
+
+    describe('claim-type profiles', () => {
+        const profiled = {
+            ...ruleSet,
+            profiles: {
+                Home: { rules: [{ id: 'home-flat', factor: 'Home flat', weight: 3 }] },
+                Commercial: { rules: [{ id: 'big-stock', factor: 'Big stock', group: 'amount', weight: 40, condition: { fact: 'amount', op: 'gt', value: 10 } }] }
+            }
+        };
+
+        test('runs the shared rules plus the profile for the claim type', () => {
+            const result = evaluateRules(profiled, { amount: 0, claimType: 'Home' });
+            expect(result.profile).toBe('Home');
+            expect(result.contributions).toEqual([{ ruleId: 'home-flat', label: 'Home flat', points: 3, evidence: 'claimType Home' }]);
+        });
+
+        test('shared rules win a group before profile rules', () => {
+            const result = evaluateRules(profiled, { amount: 5000, claimType: 'Commercial' });
+            expect(result.riskFactors).toEqual(['Big']);
+        });
+
+        test('claim types without a profile use the shared rules only', () => {
+            const result = evaluateRules(profiled, { amount: 0, claimType: 'Auto' });
+            expect(result.profile).toBeNull();
+            expect(result.riskFactors).toEqual(['Auto only']);
+        });
+
+        test('rejects malformed profiles and ids reused across profiles', () => {
+            expect(() => validateRuleSet({ ...ruleSet, profiles: [] })).toThrow('profiles');
+            expect(() => validateRuleSet({ ...ruleSet, profiles: { Home: {} } })).toThrow('Profile Home');
+            expect(() => validateRuleSet({ ...ruleSet, profiles: { Home: { rules: [{ id: 'big', weight: 1 }] } } })).toThrow('Duplicate');
+        });
+    });
+
+    describe('buildFacts', () => {
+        test('derives lengths and days since incident', () => {
+            const facts = buildFacts({
+                claimType: 'Auto', amount: '2500', location: 'Main St', description: 'short',
+                incidentDate: '2024-03-01T10:00:00Z', submissionDate: '2024-03-11T10:00:00Z'
+            });
+            expect(facts.amount).toBe(2500);
+            expect(facts.locationLength).toBe(7);
+            expect(facts.descriptionLength).toBe(5);
+            expect(facts.daysSinceIncident).toBe(10);
+        });
+    });
+});
@@ -0,0 +1,198 @@
+const { evaluateRules } = require('./ruleEngine');
+const { gatherFacts } = require('./claimFacts');
+const { validateClaim, CLAIM_SCHEMA } = require('./claimSchema');
+const { RISK_BANDS, getRiskBand } = require('../shared/riskBands');
+
+// What-if scoring: runs a candidate rule set next to the active one over a sample of claims and
+// reports how scores and recommendations would move. Nothing is persisted, and the claims are
+// not recorded in the history or description stores, so a simulation never affects live scoring.
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+// Header segments that would reach Object.prototype through plain property assignment
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// RFC 4180-style: quoted fields may contain commas, newlines and doubled quotes
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new Error('CSV has an unterminated quoted field');
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Schema number and boolean fields are coerced; dotted headers (policy.coverageLimit) build nested objects
+// whose numeric-looking values are coerced too. Empty cells are left out of the claim.
+function parseCsvValue(field, raw) {
+    const value = raw.trim();
+    const rule = CLAIM_SCHEMA[field];
+    if (rule && rule.type === 'boolean' && /^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+    const numeric = rule ? rule.type === 'number' : field.includes('.');
+    return numeric && NUMERIC_PATTERN.test(value) ? Number(value) : value;
+}
+
+function parseClaimsCsv(text) {
+    const rows = parseCsvRows(String(text || ''));
+    if (rows.length < 2) throw new Error('CSV must contain a header row and at least one claim');
+
+    const headers = rows[0].map(header => header.trim());
+    const unsafe = headers.find(header => header.split('.').some(key => UNSAFE_KEYS.has(key)));
+    if (unsafe) throw new Error(`CSV header "${unsafe}" is not allowed`);
+    return rows.slice(1).map(cells => {
+        const claim = {};
+        headers.forEach((header, column) => {
+            const raw = cells[column];
+            if (!header || raw === undefined || raw.trim() === '') return;
+            const path = header.split('.');
+            let target = claim;
+            path.slice(0, -1).forEach(key => {
+                if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+                target = target[key];
+            });
+            target[path[path.length - 1]] = parseCsvValue(header, raw);
+        });
+        return claim;
+    });
+}
+
+function scoreWith(ruleSet, facts) {
+    const { riskScore, contributions } = evaluateRules(ruleSet, facts);
+    const band = getRiskBand(riskScore);
+    return { riskScore, riskBand: band.label, recommendation: band.recommendation, contributions };
+}
+
+function diffContributions(current, candidate) {
+    const currentPoints = new Map(current.map(item => [item.ruleId, item.points]));
+    const candidatePoints = new Map(candidate.map(item => [item.ruleId, item.points]));
+
+    return {
+        addedRules: candidate.filter(item => !currentPoints.has(item.ruleId)).map(item => item.ruleId),
+        removedRules: current.filter(item => !candidatePoints.has(item.ruleId)).map(item => item.ruleId),
+        changedRules: candidate
+            .filter(item => currentPoints.has(item.ruleId) && currentPoints.get(item.ruleId) !== item.points)
+            .map(item => ({ ruleId: item.ruleId, currentPoints: currentPoints.get(item.ruleId), candidatePoints: item.points }))
+    };
+}
+
+function summarizeScores(outcomes) {
+    const scores = outcomes.map(outcome => outcome.riskScore).sort((a, b) => a - b);
+    const bands = {};
+    const recommendations = {};
+    RISK_BANDS.forEach(band => {
+        bands[band.label] = 0;
+        recommendations[band.recommendation] = 0;
+    });
+    outcomes.forEach(outcome => {
+        bands[outcome.riskBand]++;
+        recommendations[outcome.recommendation]++;
+    });
+
+    if (scores.length === 0) return { count: 0, mean: null, median: null, min: null, max: null, bands, recommendations };
+
+    const middle = Math.floor(scores.length / 2);
+    const median = scores.length % 2 === 0 ? (scores[middle - 1] + scores[middle]) / 2 : scores[middle];
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    return {
+        count: scores.length,
+        mean: Math.round(mean * 100) / 100,
+        median,
+        min: scores[0],
+        max: scores[scores.length - 1],
+        bands,
+        recommendations
+    };
+}
+
+function countTransitions(results) {
+    const counts = new Map();
+    results.filter(item => item.success && item.recommendationChanged).forEach(item => {
+        const key = `${item.current.recommendation}->${item.candidate.recommendation}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return [...counts.entries()].map(([key, count]) => {
+        const [from, to] = key.split('->');
+        return { from, to, count };
+    }).sort((a, b) => b.count - a.count);
+}
+
+async function simulateRuleSet(candidateRuleSet, claims, currentRuleSet) {
+    const results = [];
+    for (let index = 0; index < claims.length; index++) {
+        const claimId = claims[index] && claims[index].claimId !== undefined ? claims[index].claimId : null;
+        const validation = validateClaim(claims[index]);
+        if (!validation.valid) {
+            const error = validation.missingFields.length > 0 ? 'Missing required fields' : 'Invalid request';
+            results.push({ index, claimId, success: false, error, missingFields: validation.missingFields, errors: validation.errors });
+            continue;
+        }
+
+        const { facts } = await gatherFacts(validation.value);
+        const current = scoreWith(currentRuleSet, facts);
+        const candidate = scoreWith(candidateRuleSet, facts);
+        results.push({
+            index,
+            claimId,
+            success: true,
+            current: { riskScore: current.riskScore, riskBand: current.riskBand, recommendation: current.recommendation },
+            candidate: { riskScore: candidate.riskScore, riskBand: candidate.riskBand, recommendation: candidate.recommendation },
+            delta: candidate.riskScore - current.riskScore,
+            recommendationChanged: current.recommendation !== candidate.recommendation,
+            ...diffContributions(current.contributions, candidate.contributions)
+        });
+    }
+
+    const scored = results.filter(item => item.success);
+    return {
+        currentRuleSet: { name: currentRuleSet.name, version: currentRuleSet.version },
+        candidateRuleSet: { name: candidateRuleSet.name, version: candidateRuleSet.version },
+        summary: {
+            total: results.length,
+            scored: scored.length,
+            failed: results.length - scored.length,
+            changedScores: scored.filter(item => item.delta !== 0).length,
+            changedRecommendations: scored.filter(item => item.recommendationChanged).length
+        },
+        distribution: {
+            current: summarizeScores(scored.map(item => item.current)),
+            candidate: summarizeScores(scored.map(item => item.candidate))
+        },
+        recommendationChanges: countTransitions(results),
+        results
+    };
+}
+
+module.exports = {
+    parseClaimsCsv,
+    simulateRuleSet
+};
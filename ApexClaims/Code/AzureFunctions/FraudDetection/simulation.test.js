@@ -0,0 +1,95 @@
+const { parseClaimsCsv, simulateRuleSet } = require('./simulation');
+const { createInMemoryClaimHistoryRepository, setClaimHistoryRepository } = require('./claimHistory');
+const { createInMemoryDescriptionStore, setDescriptionStore } = require('./descriptionSimilarity');
+
+describe('FraudDetection rule set simulation', () => {
+    const claim = {
+        claimId: 'claim-001',
+        policyId: 'policy-001',
+        claimType: 'Auto',
+        amount: 25000,
+        location: '123 Main Street, Sydney NSW 2000',
+        incidentDate: '2024-03-12T10:00:00Z',
+        submissionDate: '2024-03-13T10:00:00Z',
+        description: 'Rear-ended at traffic lights on the way to work this morning.'
+    };
+    const currentRuleSet = {
+        name: 'current',
+        version: '1.0.0',
+        baseScore: 20,
+        rules: [
+            { id: 'amount-high', factor: 'High claim amount', weight: 10, condition: { fact: 'amount', op: 'gt', value: 20000 } },
+            { id: 'auto', factor: 'Auto claim', weight: 5, claimTypes: ['Auto'] }
+        ]
+    };
+    const candidateRuleSet = {
+        name: 'candidate',
+        version: '2.0.0',
+        baseScore: 20,
+        rules: [
+            { id: 'amount-high', factor: 'High claim amount', weight: 40, condition: { fact: 'amount', op: 'gt', value: 20000 } },
+            { id: 'long-description', factor: 'Long description', weight: -5, condition: { fact: 'descriptionLength', op: 'gt', value: 50 } }
+        ]
+    };
+
+    beforeEach(() => {
+        setClaimHistoryRepository(createInMemoryClaimHistoryRepository());
+        setDescriptionStore(createInMemoryDescriptionStore());
+    });
+
+    test('parses quoted fields, numeric columns and dotted headers', () => {
+        const claims = parseClaimsCsv([
+            'claimId,amount,location,description,policy.coverageLimit,latitude',
+            'claim-1,1500.50,"1 George St, Sydney","Said ""no damage"" at first",20000,',
+            ''
+        ].join('\r\n'));
+
+        expect(claims).toEqual([{
+            claimId: 'claim-1',
+            amount: 1500.5,
+            location: '1 George St, Sydney',
+            description: 'Said "no damage" at first',
+            policy: { coverageLimit: 20000 }
+        }]);
+    });
+
+    test('keeps non-numeric values in number columns for validation to reject', () => {
+        expect(parseClaimsCsv('claimId,amount\nclaim-1,lots')[0].amount).toBe('lots');
+        expect(parseClaimsCsv('claimId,propertyVacant\nclaim-1,TRUE')[0].propertyVacant).toBe(true);
+    });
+
+    test('rejects CSV without claim rows or with an open quote', () => {
+        expect(() => parseClaimsCsv('claimId,amount')).toThrow('header row');
+        expect(() => parseClaimsCsv('claimId\n"claim-1')).toThrow('unterminated');
+    });
+
+    test.each(['__proto__.polluted', 'policy.constructor.prototype.polluted', 'prototype'])('rejects the unsafe header %p', header => {
+        expect(() => parseClaimsCsv(`claimId,${header}\nclaim-1,yes`)).toThrow(`CSV header "${header}" is not allowed`);
+        expect({}.polluted).toBeUndefined();
+    });
+
+    test('reports per-claim rule differences', async () => {
+        const simulation = await simulateRuleSet(candidateRuleSet, [claim], currentRuleSet);
+        const [result] = simulation.results;
+
+        expect(result.current).toEqual({ riskScore: 35, riskBand: 'Medium Risk', recommendation: 'Review' });
+        expect(result.candidate).toEqual({ riskScore: 55, riskBand: 'High Risk', recommendation: 'Investigate' });
+        expect(result.delta).toBe(20);
+        expect(result.recommendationChanged).toBe(true);
+        expect(result.addedRules).toEqual(['long-description']);
+        expect(result.removedRules).toEqual(['auto']);
+        expect(result.changedRules).toEqual([{ ruleId: 'amount-high', currentPoints: 10, candidatePoints: 40 }]);
+        expect(simulation.recommendationChanges).toEqual([{ from: 'Review', to: 'Investigate', count: 1 }]);
+    });
+
+    test('summarises the score distribution for both rule sets', async () => {
+        const claims = [claim, { ...claim, claimId: 'claim-002', amount: 500 }, { ...claim, claimId: 'claim-003', amount: 'n/a' }];
+        const simulation = await simulateRuleSet(candidateRuleSet, claims, currentRuleSet);
+
+        expect(simulation.summary).toEqual({ total: 3, scored: 2, failed: 1, changedScores: 2, changedRecommendations: 1 });
+        expect(simulation.results[2]).toMatchObject({ success: false, error: 'Invalid request' });
+        expect(simulation.distribution.current).toMatchObject({ count: 2, mean: 30, median: 30, min: 25, max: 35 });
+        expect(simulation.distribution.current.bands).toEqual({ 'Low Risk': 1, 'Medium Risk': 1, 'High Risk': 0, 'Critical Risk': 0 });
+        expect(simulation.distribution.candidate.recommendations).toEqual({ Proceed: 1, Review: 0, Investigate: 1 });
+    });
+});
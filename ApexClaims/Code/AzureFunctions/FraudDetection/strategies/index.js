@@ -0,0 +1,29 @@
+const { getActiveRuleSet } = require('../ruleEngine');
+const { getActiveModel, createLogisticModelStrategy } = require('./logisticModel');
+const { createRuleBasedStrategy } = require('./ruleBased');
+
+// A scoring strategy is { name, metadata, score(facts) } returning
+// { riskScore, rawScore, baseScore, riskFactors, contributions }.
+// 'shadow' scores with the rules and runs the model alongside for comparison only.
+const SCORING_MODES = ['rules', 'model', 'shadow'];
+
+function resolveScoringMode(requested, env) {
+    const settings = env || process.env;
+    const mode = requested || settings.FRAUD_SCORING_MODE || 'rules';
+    return SCORING_MODES.includes(mode) ? mode : null;
+}
+
+function createScorers(mode) {
+    const rules = () => createRuleBasedStrategy(getActiveRuleSet());
+    const model = () => createLogisticModelStrategy(getActiveModel());
+
+    if (mode === 'model') return { primary: model(), shadow: null };
+    if (mode === 'shadow') return { primary: rules(), shadow: model() };
+    return { primary: rules(), shadow: null };
+}
+
+module.exports = {
+    SCORING_MODES,
+    resolveScoringMode,
+    createScorers
+};
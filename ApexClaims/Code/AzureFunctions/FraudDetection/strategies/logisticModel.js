@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+// Logistic regression exported as JSON coefficients and evaluated in plain JS.
+// Contributions are on the log-odds scale: intercept + sum(points) == rawScore (logit),
+// and riskScore is round(100 * sigmoid(rawScore)).
+// Precedence: FRAUD_MODEL (inline JSON app setting) > FRAUD_MODEL_PATH > bundled default.
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, '..', 'models', 'default-logistic.json');
+const TRANSFORMS = {
+    identity: value => value,
+    log1p: value => Math.log1p(Math.max(0, value))
+};
+const DEFAULT_FACTOR_THRESHOLD = 0.25;
+
+let activeModel = null;
+
+function validateModel(model) {
+    if (!model || typeof model !== 'object') throw new Error('Model must be an object');
+    if (model.type !== 'logistic') throw new Error(`Unsupported model type: ${model.type}`);
+    if (typeof model.version !== 'string' || model.version.trim() === '') throw new Error('Model version is required');
+    if (typeof model.intercept !== 'number') throw new Error('Model intercept must be a number');
+    if (!Array.isArray(model.features) || model.features.length === 0) throw new Error('Model features must be a non-empty array');
+
+    model.features.forEach(feature => {
+        if (typeof feature.name !== 'string' || typeof feature.fact !== 'string') throw new Error('Every model feature needs a name and fact');
+        if (typeof feature.coefficient !== 'number') throw new Error(`Feature ${feature.name}: coefficient must be a number`);
+        if (feature.transform !== undefined && !TRANSFORMS[feature.transform]) throw new Error(`Feature ${feature.name}: unknown transform '${feature.transform}'`);
+        if (feature.clip !== undefined && (!Array.isArray(feature.clip) || feature.clip.length !== 2)) throw new Error(`Feature ${feature.name}: clip must be [min, max]`);
+    });
+
+    return model;
+}
+
+function loadModel(env) {
+    const settings = env || process.env;
+    const raw = settings.FRAUD_MODEL || fs.readFileSync(settings.FRAUD_MODEL_PATH || DEFAULT_MODEL_PATH, 'utf8');
+    return validateModel(JSON.parse(raw));
+}
+
+function getActiveModel() {
+    if (!activeModel) activeModel = loadModel(process.env);
+    return activeModel;
+}
+
+function resetActiveModel() {
+    activeModel = null;
+}
+
+function featureValue(feature, facts) {
+    let value = facts[feature.fact];
+    if (typeof value === 'boolean') value = value ? 1 : 0;
+    if (typeof value !== 'number' || isNaN(value)) value = feature.default !== undefined ? feature.default : 0;
+    if (feature.clip) value = Math.max(feature.clip[0], Math.min(feature.clip[1], value));
+    return TRANSFORMS[feature.transform || 'identity'](value);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function createLogisticModelStrategy(model) {
+    const factorThreshold = model.factorThreshold !== undefined ? model.factorThreshold : DEFAULT_FACTOR_THRESHOLD;
+
+    return {
+        name: 'model',
+        metadata: { modelName: model.name || null, modelVersion: model.version },
+        score(facts) {
+            const contributions = [];
+            model.features.forEach(feature => {
+                const points = round(feature.coefficient * featureValue(feature, facts));
+                if (points === 0) return;
+                contributions.push({
+                    ruleId: feature.name,
+                    label: feature.label || feature.name,
+                    points,
+                    evidence: `${feature.fact} ${facts[feature.fact] === undefined ? 'missing' : facts[feature.fact]}`
+                });
+            });
+
+            const rawScore = round(contributions.reduce((total, contribution) => total + contribution.points, model.intercept));
+            const probability = 1 / (1 + Math.exp(-rawScore));
+
+            return {
+                riskScore: Math.round(probability * 100),
+                rawScore,
+                baseScore: model.intercept,
+                riskFactors: contributions.filter(contribution => contribution.points >= factorThreshold).map(contribution => contribution.label),
+                contributions
+            };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_MODEL_PATH,
+    validateModel,
+    loadModel,
+    getActiveModel,
+    resetActiveModel,
+    createLogisticModelStrategy
+};
@@ -0,0 +1,47 @@
+const { loadModel, validateModel, createLogisticModelStrategy } = require('./logisticModel');
+const { resolveScoringMode } = require('./index');
+
+describe('FraudDetection logistic model strategy', () => {
+    const model = {
+        name: 'test-model',
+        version: '9.9.9',
+        type: 'logistic',
+        intercept: -1,
+        features: [
+            { name: 'weekend', label: 'Weekend', fact: 'isWeekend', coefficient: 1 },
+            { name: 'amount', label: 'Amount', fact: 'amount', transform: 'log1p', coefficient: 0.1 },
+            { name: 'delay', label: 'Delay', fact: 'daysSinceIncident', clip: [0, 10], coefficient: 0.1 }
+        ]
+    };
+
+    test('loads the bundled default model', () => {
+        expect(loadModel({}).type).toBe('logistic');
+    });
+
+    test('rejects unsupported or malformed models', () => {
+        expect(() => validateModel({ ...model, type: 'tree' })).toThrow('Unsupported model type');
+        expect(() => validateModel({ ...model, features: [{ name: 'x', fact: 'x', coefficient: 1, transform: 'sqrt' }] })).toThrow('unknown transform');
+    });
+
+    test('scores with the sigmoid of intercept plus contributions', () => {
+        const result = createLogisticModelStrategy(model).score({ isWeekend: true, amount: 0, daysSinceIncident: 50 });
+
+        expect(result.contributions.map(item => item.ruleId)).toEqual(['weekend', 'delay']);
+        expect(result.rawScore).toBe(1);
+        expect(result.riskScore).toBe(Math.round(100 / (1 + Math.exp(-1))));
+        expect(result.riskFactors).toEqual(['Weekend', 'Delay']);
+    });
+
+    test('missing facts contribute nothing', () => {
+        const result = createLogisticModelStrategy(model).score({});
+        expect(result.contributions).toEqual([]);
+        expect(result.riskScore).toBe(Math.round(100 / (1 + Math.exp(1))));
+    });
+
+    test('resolveScoringMode falls back to the app setting then rules', () => {
+        expect(resolveScoringMode('model', {})).toBe('model');
+        expect(resolveScoringMode(undefined, { FRAUD_SCORING_MODE: 'shadow' })).toBe('shadow');
+        expect(resolveScoringMode(undefined, {})).toBe('rules');
+        expect(resolveScoringMode('neural', {})).toBeNull();
+    });
+});
@@ -0,0 +1,14 @@
+const { evaluateRules } = require('../ruleEngine');
+
+function createRuleBasedStrategy(ruleSet) {
+    return {
+        name: 'rules',
+        metadata: { ruleSetVersion: ruleSet.version },
+        score(facts) {
+            const { riskScore, rawScore, baseScore, riskFactors, contributions, profile } = evaluateRules(ruleSet, facts);
+            return { riskScore, rawScore, baseScore, riskFactors, contributions, profile };
+        }
+    };
+}
+
+module.exports = { createRuleBasedStrategy };
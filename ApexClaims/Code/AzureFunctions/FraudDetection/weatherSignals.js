@@ -0,0 +1,57 @@
+// Optional weather context for corroborating weather-related perils.
+// Accepts flat fields or the WeatherLookup response ({ success, conditions, details }), as an object or JSON string.
+
+const THUNDERSTORM_CODES = [95, 96, 99];
+const CLEAR_SKY_MAX_CODE = 3;
+const DRY_PRECIPITATION_MM = 1;
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+function normalizeWeather(weather) {
+    let source = weather;
+    if (typeof source === 'string') {
+        try {
+            source = JSON.parse(source);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!source || typeof source !== 'object' || source.success === false) return null;
+    if (source.details && typeof source.details === 'object') source = source.details;
+
+    const weatherCode = toNumber(source.weatherCode);
+    if (weatherCode === null) return null;
+
+    return {
+        weatherCode,
+        weatherDescription: source.weatherDescription || null,
+        precipitationMm: toNumber(source.precipitationMm),
+        windSpeedKmh: toNumber(source.windSpeedKmh)
+    };
+}
+
+function buildWeatherFacts(claim) {
+    const weather = normalizeWeather(claim.weather);
+    if (!weather) return {};
+
+    const isDry = weather.precipitationMm === null || weather.precipitationMm < DRY_PRECIPITATION_MM;
+
+    return {
+        weatherCode: weather.weatherCode,
+        weatherDescription: weather.weatherDescription || `code ${weather.weatherCode}`,
+        precipitationMm: weather.precipitationMm === null ? undefined : weather.precipitationMm,
+        windSpeedKmh: weather.windSpeedKmh === null ? undefined : weather.windSpeedKmh,
+        isThunderstorm: THUNDERSTORM_CODES.includes(weather.weatherCode),
+        isDryClearDay: weather.weatherCode <= CLEAR_SKY_MAX_CODE && isDry
+    };
+}
+
+module.exports = {
+    THUNDERSTORM_CODES,
+    normalizeWeather,
+    buildWeatherFacts
+};
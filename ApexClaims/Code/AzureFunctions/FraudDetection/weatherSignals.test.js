@@ -0,0 +1,37 @@
+const { normalizeWeather, buildWeatherFacts } = require('./weatherSignals');
+
+describe('FraudDetection weather signals', () => {
+    const lookupResponse = {
+        success: true,
+        conditions: 'Clear Sky, High: 75 degF (24 degC), Low: 60 degF (16 degC), Wind: 6 mph, Precip: 0.00 in',
+        details: { weatherCode: 0, weatherDescription: 'Clear Sky', precipitationMm: 0, windSpeedKmh: 10 }
+    };
+
+    test('accepts the WeatherLookup response shape, including as a JSON string', () => {
+        const expected = { weatherCode: 0, weatherDescription: 'Clear Sky', precipitationMm: 0, windSpeedKmh: 10 };
+        expect(normalizeWeather(lookupResponse)).toEqual(expected);
+        expect(normalizeWeather(JSON.stringify(lookupResponse))).toEqual(expected);
+    });
+
+    test('accepts flat weather details', () => {
+        expect(normalizeWeather({ weatherCode: '95', precipitationMm: 12.5 })).toEqual({
+            weatherCode: 95, weatherDescription: null, precipitationMm: 12.5, windSpeedKmh: null
+        });
+    });
+
+    test('ignores failed lookups and unparseable input', () => {
+        expect(normalizeWeather({ success: false, conditions: null })).toBeNull();
+        expect(normalizeWeather('not json')).toBeNull();
+        expect(normalizeWeather({ precipitationMm: 3 })).toBeNull();
+    });
+
+    test('classifies clear dry days and thunderstorms', () => {
+        expect(buildWeatherFacts({ weather: lookupResponse })).toMatchObject({ isDryClearDay: true, isThunderstorm: false });
+        expect(buildWeatherFacts({ weather: { weatherCode: 99, precipitationMm: 20 } })).toMatchObject({ isDryClearDay: false, isThunderstorm: true });
+        expect(buildWeatherFacts({ weather: { weatherCode: 2, precipitationMm: 4 } }).isDryClearDay).toBe(false);
+    });
+
+    test('returns no facts without weather', () => {
+        expect(buildWeatherFacts({})).toEqual({});
+    });
+});
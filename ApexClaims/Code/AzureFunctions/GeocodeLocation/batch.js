@@ -0,0 +1,91 @@
+// Batch geocoding helpers. Items run GEOCODE_BATCH_CONCURRENCY at a time, and provider calls (not
+// cache hits) are spaced to at most GEOCODE_RATE_LIMIT_PER_SECOND so a migration run stays inside
+// the provider's QPS limit (Azure Maps S0 allows 50; the public Nominatim server allows 1).
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+const MAX_BATCH_SIZE = 1000;
+// The batch answers synchronously, so it has to finish inside the 230 s HTTP timeout of the
+// Functions front end; the margin covers fallback calls and slow provider responses
+const BATCH_TIME_BUDGET_SECONDS = 120;
+
+function positiveNumber(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+// maxItems is what the rate limit lets through in the time budget: 1000 at the default 10 per
+// second, 120 at 1 per second
+function getBatchSettings(env) {
+    const settings = env || process.env;
+    const requestsPerSecond = positiveNumber(settings.GEOCODE_RATE_LIMIT_PER_SECOND, DEFAULT_REQUESTS_PER_SECOND);
+    return {
+        concurrency: Math.floor(positiveNumber(settings.GEOCODE_BATCH_CONCURRENCY, DEFAULT_CONCURRENCY)) || 1,
+        requestsPerSecond,
+        maxItems: Math.max(1, Math.min(MAX_BATCH_SIZE, Math.floor(requestsPerSecond * BATCH_TIME_BUDGET_SECONDS)))
+    };
+}
+
+// Hands out start slots at fixed intervals; callers wait for their slot rather than bursting
+function createRateLimiter(requestsPerSecond) {
+    const interval = 1000 / requestsPerSecond;
+    let nextSlot = 0;
+
+    return {
+        acquire() {
+            const now = Date.now();
+            const slot = Math.max(now, nextSlot);
+            nextSlot = slot + interval;
+            const wait = slot - now;
+            return wait > 0 ? new Promise(resolve => setTimeout(resolve, wait)) : Promise.resolve();
+        }
+    };
+}
+
+function rateLimitProviders(providers, limiter) {
+    return providers.map(provider => ({
+        name: provider.name,
+        async geocode(address, options) {
+            await limiter.acquire();
+            return provider.geocode(address, options);
+        },
+        async reverse(latitude, longitude) {
+            await limiter.acquire();
+            return provider.reverse(latitude, longitude);
+        }
+    }));
+}
+
+// Results keep input order regardless of completion order
+async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function run() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, run));
+    return results;
+}
+
+function summarizeBatch(results) {
+    return {
+        total: results.length,
+        succeeded: results.filter(item => item.success).length,
+        noResults: results.filter(item => !item.success && item.error === 'No results found').length,
+        failed: results.filter(item => !item.success && item.error !== 'No results found').length,
+        cacheHits: results.filter(item => item.cache && item.cache.hit).length
+    };
+}
+
+module.exports = {
+    getBatchSettings,
+    createRateLimiter,
+    rateLimitProviders,
+    mapWithConcurrency,
+    summarizeBatch
+};
@@ -0,0 +1,52 @@
+const { getBatchSettings, createRateLimiter, rateLimitProviders, mapWithConcurrency } = require('./batch');
+
+describe('batch geocoding helpers', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('reads concurrency and rate limit from settings with defaults', () => {
+        expect(getBatchSettings({})).toEqual({ concurrency: 4, requestsPerSecond: 10, maxItems: 1000 });
+        expect(getBatchSettings({ GEOCODE_BATCH_CONCURRENCY: '8', GEOCODE_RATE_LIMIT_PER_SECOND: '0.5' })).toEqual({ concurrency: 8, requestsPerSecond: 0.5, maxItems: 60 });
+        expect(getBatchSettings({ GEOCODE_BATCH_CONCURRENCY: '-1', GEOCODE_RATE_LIMIT_PER_SECOND: 'fast' })).toEqual({ concurrency: 4, requestsPerSecond: 10, maxItems: 1000 });
+    });
+
+    test('spaces acquisitions by the rate limit interval', async () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+        const limiter = createRateLimiter(2);
+        const released = [];
+
+        [0, 1, 2].forEach(index => limiter.acquire().then(() => released.push(index)));
+        await Promise.resolve();
+        expect(released).toEqual([0]);
+
+        await jest.advanceTimersByTimeAsync(500);
+        expect(released).toEqual([0, 1]);
+
+        await jest.advanceTimersByTimeAsync(500);
+        expect(released).toEqual([0, 1, 2]);
+    });
+
+    test('rate limits provider calls through the wrapper', async () => {
+        const limiter = { acquire: jest.fn().mockResolvedValue() };
+        const provider = { name: 'stub', geocode: jest.fn().mockResolvedValue([]), reverse: jest.fn().mockResolvedValue(null) };
+        const [wrapped] = rateLimitProviders([provider], limiter);
+
+        await wrapped.geocode('1 Main St', { limit: 5 });
+        await wrapped.reverse(1, 2);
+
+        expect(wrapped.name).toBe('stub');
+        expect(limiter.acquire).toHaveBeenCalledTimes(2);
+        expect(provider.geocode).toHaveBeenCalledWith('1 Main St', { limit: 5 });
+        expect(provider.reverse).toHaveBeenCalledWith(1, 2);
+    });
+
+    test('keeps input order when items finish out of order', async () => {
+        const delays = [30, 0, 10];
+        const results = await mapWithConcurrency(delays, 3, (delay, index) =>
+            new Promise(resolve => setTimeout(() => resolve(index), delay)));
+
+        expect(results).toEqual([0, 1, 2]);
+    });
+});
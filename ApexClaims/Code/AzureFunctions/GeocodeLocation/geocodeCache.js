@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Geocode results keyed on the normalised address. A backend is any object with async get(key)
+// returning { value, cachedAt, expiresAt } or null, and async set(key, entry). GEOCODE_CACHE selects
+// 'memory' (default, LRU per host instance), 'file' (JSON per address under GEOCODE_CACHE_PATH)
+// or 'none'. createRedisGeocodeCache wraps any Redis-compatible client for shared caching.
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_FILE_CACHE_PATH = path.join(os.tmpdir(), 'apex-geocode-cache');
+const DEFAULT_KEY_PREFIX = 'geocode:';
+
+// "123 Main St., Sydney" and " 123 MAIN ST Sydney " share one entry
+function normalizeAddress(address) {
+    return String(address || '').toLowerCase().replace(/[.,;#]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function isExpired(entry) {
+    return !entry || new Date(entry.expiresAt).getTime() <= Date.now();
+}
+
+// Insertion-ordered Map as an LRU: reads move the entry to the end, the front is evicted first
+function createInMemoryGeocodeCache(maxEntries) {
+    const limit = maxEntries || DEFAULT_MAX_ENTRIES;
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            entries.delete(key);
+            if (isExpired(entry)) return null;
+            entries.set(key, entry);
+            return entry;
+        },
+        async set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            if (entries.size > limit) entries.delete(entries.keys().next().value);
+        },
+        size() {
+            return entries.size;
+        }
+    };
+}
+
+// Addresses are hashed for file names so arbitrary input never reaches the filesystem path
+function createFileGeocodeCache(directory) {
+    const root = directory || DEFAULT_FILE_CACHE_PATH;
+    const fileFor = key => path.join(root, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+    return {
+        async get(key) {
+            let entry;
+            try {
+                entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+            if (isExpired(entry)) {
+                await fs.promises.rm(fileFor(key), { force: true });
+                return null;
+            }
+            return entry;
+        },
+        async set(key, entry) {
+            await fs.promises.mkdir(root, { recursive: true });
+            await fs.promises.writeFile(fileFor(key), JSON.stringify(entry), 'utf8');
+        }
+    };
+}
+
+// client needs promise-based get(key) and ioredis-style set(key, value, 'PX', ttlMs), so Redis
+// expires the entry itself
+function createRedisGeocodeCache(client, keyPrefix) {
+    const prefix = keyPrefix || DEFAULT_KEY_PREFIX;
+
+    return {
+        async get(key) {
+            const raw = await client.get(prefix + key);
+            if (!raw) return null;
+            const entry = JSON.parse(raw);
+            return isExpired(entry) ? null : entry;
+        },
+        async set(key, entry) {
+            const ttlMs = Math.max(1, new Date(entry.expiresAt).getTime() - Date.now());
+            await client.set(prefix + key, JSON.stringify(entry), 'PX', ttlMs);
+        }
+    };
+}
+
+function createGeocodeCache(env) {
+    const settings = env || process.env;
+    const backend = (settings.GEOCODE_CACHE || 'memory').toLowerCase();
+    if (backend === 'none') return null;
+    if (backend === 'file') return createFileGeocodeCache(settings.GEOCODE_CACHE_PATH);
+    if (backend === 'memory') return createInMemoryGeocodeCache(parseInt(settings.GEOCODE_CACHE_MAX_ENTRIES, 10) || undefined);
+    throw new Error(`Unknown geocode cache: ${backend}`);
+}
+
+function getCacheTtlMs(env) {
+    const seconds = parseInt((env || process.env).GEOCODE_CACHE_TTL_SECONDS, 10);
+    return (seconds > 0 ? seconds : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+let activeCache;
+
+function getGeocodeCache() {
+    if (activeCache === undefined) activeCache = createGeocodeCache(process.env);
+    return activeCache;
+}
+
+function setGeocodeCache(cache) {
+    activeCache = cache;
+}
+
+function createEntry(value, ttlMs) {
+    const now = Date.now();
+    return { value, cachedAt: new Date(now).toISOString(), expiresAt: new Date(now + ttlMs).toISOString() };
+}
+
+module.exports = {
+    normalizeAddress,
+    createInMemoryGeocodeCache,
+    createFileGeocodeCache,
+    createRedisGeocodeCache,
+    createGeocodeCache,
+    getCacheTtlMs,
+    getGeocodeCache,
+    setGeocodeCache,
+    createEntry
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    normalizeAddress,
+    createInMemoryGeocodeCache,
+    createFileGeocodeCache,
+    createRedisGeocodeCache,
+    createGeocodeCache,
+    getCacheTtlMs,
+    createEntry
+} = require('./geocodeCache');
+
+describe('GeocodeLocation cache', () => {
+    const value = { success: true, latitude: -33.87, longitude: 151.21 };
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('normalises case, punctuation and whitespace', () => {
+        expect(normalizeAddress(' 123 Main St., Sydney  NSW ')).toBe(normalizeAddress('123 main st sydney nsw'));
+    });
+
+    test('in-memory entries expire after their TTL', async () => {
+        jest.useFakeTimers().setSystemTime(new Date('2024-03-01T00:00:00Z'));
+        const cache = createInMemoryGeocodeCache();
+        await cache.set('a', createEntry(value, 60000));
+
+        expect((await cache.get('a')).value).toEqual(value);
+        jest.setSystemTime(new Date('2024-03-01T00:01:01Z'));
+        expect(await cache.get('a')).toBeNull();
+    });
+
+    test('in-memory cache evicts the least recently used entry', async () => {
+        const cache = createInMemoryGeocodeCache(2);
+        await cache.set('a', createEntry(value, 60000));
+        await cache.set('b', createEntry(value, 60000));
+        await cache.get('a');
+        await cache.set('c', createEntry(value, 60000));
+
+        expect(await cache.get('a')).not.toBeNull();
+        expect(await cache.get('b')).toBeNull();
+        expect(cache.size()).toBe(2);
+    });
+
+    test('file cache round-trips entries and drops expired ones', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'geocode-cache-test-'));
+        try {
+            const cache = createFileGeocodeCache(directory);
+            await cache.set('123 main st', createEntry(value, 60000));
+            await cache.set('expired', { value, cachedAt: '2020-01-01T00:00:00Z', expiresAt: '2020-01-02T00:00:00Z' });
+
+            expect((await cache.get('123 main st')).value).toEqual(value);
+            expect(await cache.get('expired')).toBeNull();
+            expect(await cache.get('unknown')).toBeNull();
+            expect(fs.readdirSync(directory)).toHaveLength(1);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('redis adapter prefixes keys and sets a PX expiry', async () => {
+        const store = new Map();
+        const client = {
+            get: jest.fn(async key => store.get(key) || null),
+            set: jest.fn(async (key, raw) => { store.set(key, raw); })
+        };
+        const cache = createRedisGeocodeCache(client);
+        await cache.set('a', createEntry(value, 60000));
+
+        expect(client.set).toHaveBeenCalledWith('geocode:a', expect.any(String), 'PX', expect.any(Number));
+        expect(client.set.mock.calls[0][3]).toBeLessThanOrEqual(60000);
+        expect((await cache.get('a')).value).toEqual(value);
+    });
+
+    test('backend and TTL come from app settings', () => {
+        expect(createGeocodeCache({ GEOCODE_CACHE: 'none' })).toBeNull();
+        expect(typeof createGeocodeCache({}).size).toBe('function');
+        expect(() => createGeocodeCache({ GEOCODE_CACHE: 'dynamo' })).toThrow('Unknown geocode cache');
+        expect(getCacheTtlMs({ GEOCODE_CACHE_TTL_SECONDS: '60' })).toBe(60000);
+        expect(getCacheTtlMs({})).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+});
@@ -1,47 +1,228 @@
-const https = require('https');
+const { normalizeAddress, getGeocodeCache, getCacheTtlMs, createEntry } = require('./geocodeCache');
+const { getGeocodeProviders, withFallback } = require('./providers');
+const { getBatchSettings, createRateLimiter, rateLimitProviders, mapWithConcurrency, summarizeBatch } = require('./batch');
+const { parseRegion, isWithinRegion, regionCacheKey } = require('./region');
+const { validateCoordinates } = require('../shared/coordinates');
+const { assessAddress } = require('../shared/addressQuality');
 
-// TODO: add caching to reduce Azure Maps API calls
-const API_TIMEOUT_MS = 10000;
+// Successful lookups are cached by normalised address (see geocodeCache.js) because the
+// ClaimGeocoder plugin re-geocodes the same address on every claim update.
+// POST /api/geocodelocation geocodes an address, /batch many addresses, /reverse takes coordinates.
+// Providers (Azure Maps, Nominatim, offline gazetteer) are tried in GEOCODE_PROVIDERS order.
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+// ~1 m at the equator; nearby reverse lookups share a cache entry
+const REVERSE_CACHE_PRECISION = 5;
+// Always fetched (one provider call either way) so ambiguity can be judged and cached
+// entries can serve any maxCandidates
+const MAX_CANDIDATES = 5;
+// Runner-up scoring at least 90% of the top match means the provider could not tell them apart
+const AMBIGUITY_RATIO = 0.9;
 
-function getConfidence(score) {
-    if (score >= 9.0) return 'High';
-    if (score >= 7.0) return 'Medium';
-    if (score >= 5.0) return 'Low';
-    return 'VeryLow';
+// Cache failures only cost an extra provider call, so they are logged rather than surfaced
+async function readCache(context, cache, key) {
+    if (!cache) return null;
+    try {
+        return await cache.get(key);
+    } catch (error) {
+        context.log.warn('Geocode cache read failed: ' + error.message);
+        return null;
+    }
+}
+
+async function writeCache(context, cache, key, value) {
+    if (!cache) return;
+    try {
+        await cache.set(key, createEntry(value, getCacheTtlMs()));
+    } catch (error) {
+        context.log.warn('Geocode cache write failed: ' + error.message);
+    }
+}
+
+// Duplicate hits for the same place (e.g. address and street results) are not ambiguity
+function isAmbiguous(candidates) {
+    var top = candidates[0];
+    var runnerUp = candidates.slice(1).find(function(candidate) { return candidate.formattedAddress !== top.formattedAddress; });
+    return !!runnerUp && top.score > 0 && runnerUp.score >= top.score * AMBIGUITY_RATIO;
+}
+
+function parseMaxCandidates(value) {
+    if (value === undefined || value === null) return { valid: true, maxCandidates: 1 };
+    var number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_CANDIDATES) {
+        return { valid: false, error: 'maxCandidates must be an integer between 1 and ' + MAX_CANDIDATES };
+    }
+    return { valid: true, maxCandidates: number };
+}
+
+// Cached values keep every candidate; the response only lists them when more than one was asked for
+function buildGeocodeResponse(value, maxCandidates, cacheInfo) {
+    var candidates = value.candidates || [];
+    var body = { ...value, cache: cacheInfo };
+    delete body.candidates;
+    if (maxCandidates > 1) body.candidates = candidates.slice(0, maxCandidates);
+    return body;
+}
+
+function buildReverseResult(latitude, longitude, match, provider) {
+    var address = match.address;
+    return {
+        success: true,
+        latitude: latitude,
+        longitude: longitude,
+        formattedAddress: match.formattedAddress,
+        address: address,
+        streetAddress: [address.streetNumber, address.streetName].filter(Boolean).join(' ') || null,
+        locality: address.municipality || address.municipalitySubdivision,
+        postcode: address.postalCode,
+        country: address.country,
+        countryCode: address.countryCode,
+        provider: provider
+    };
+}
+
+// Shared by the single and batch routes: { valid, address, maxCandidates, quality, region } or { valid: false, error }.
+// Providers get the input as typed (trimmed); the quality assessment, with the normalised text as
+// addressQuality.normalized, goes back to the caller so vague locations can be flagged.
+function parseAddressRequest(body) {
+    if (!body || !body.address || typeof body.address !== 'string' || body.address.trim() === '') {
+        return { valid: false, error: 'Address is required' };
+    }
+    var limit = parseMaxCandidates(body.maxCandidates);
+    if (!limit.valid) return { valid: false, error: limit.error };
+    var region = parseRegion(body);
+    if (!region.valid) return { valid: false, error: region.error };
+    return { valid: true, address: body.address.trim(), maxCandidates: limit.maxCandidates, quality: assessAddress(body.address), region: region.region };
 }
 
-function callAzureMaps(address, apiKey) {
-    return new Promise((resolve, reject) => {
-        const encodedAddress = encodeURIComponent(address);
-        const path = '/search/address/json?api-version=1.0&subscription-key=' + apiKey + '&query=' + encodedAddress + '&limit=1&language=en-US';
+// Resolves to { status, body } so the batch route can reuse it per item
+async function lookupAddress(context, request, providers) {
+    var cache = getGeocodeCache();
+    var cacheKey = normalizeAddress(request.address) + regionCacheKey(request.region);
 
-        const options = {
-            hostname: 'atlas.microsoft.com',
-            path: path,
-            method: 'GET',
-            timeout: API_TIMEOUT_MS
+    var cached = await readCache(context, cache, cacheKey);
+    if (cached) {
+        var cacheInfo = { hit: true, cachedAt: cached.cachedAt, expiresAt: cached.expiresAt };
+        return { status: 200, body: { ...buildGeocodeResponse(cached.value, request.maxCandidates, cacheInfo), region: request.region, addressQuality: request.quality } };
+    }
+
+    try {
+        // Out-of-region matches are dropped before withFallback sees them, so a provider that only
+        // found the wrong country counts as empty and the next provider is tried
+        var outOfRegion = 0;
+        var lookup = await withFallback(providers, async function(provider) {
+            var results = (await provider.geocode(request.address, { limit: MAX_CANDIDATES, region: request.region })) || [];
+            var allowed = results.filter(function(candidate) { return isWithinRegion(candidate, request.region); });
+            outOfRegion += results.length - allowed.length;
+            return allowed;
+        }, context.log);
+
+        if (!lookup.result) {
+            return { status: 200, body: { success: false, latitude: null, longitude: null, formattedAddress: null, confidence: null, error: 'No results found', outOfRegion: outOfRegion, cache: { hit: false }, region: request.region, addressQuality: request.quality } };
+        }
+
+        var candidates = lookup.result;
+        var value = {
+            success: true,
+            latitude: candidates[0].latitude,
+            longitude: candidates[0].longitude,
+            formattedAddress: candidates[0].formattedAddress,
+            address: candidates[0].address,
+            confidence: candidates[0].confidence,
+            ambiguous: isAmbiguous(candidates),
+            provider: lookup.provider,
+            candidates: candidates
         };
+        await writeCache(context, cache, cacheKey, value);
+
+        return { status: 200, body: { ...buildGeocodeResponse(value, request.maxCandidates, { hit: false }), region: request.region, addressQuality: request.quality } };
+    } catch (error) {
+        context.log.error('Geocoding error: ' + error.message);
+        return { status: 500, body: { success: false, error: 'Geocoding service unavailable' } };
+    }
+}
+
+async function geocodeAddress(context, req, providers) {
+    var request = parseAddressRequest(req.body);
+    if (!request.valid) {
+        context.res = { status: 400, headers: JSON_HEADERS, body: { success: false, error: request.error } };
+        return;
+    }
+
+    var outcome = await lookupAddress(context, request, providers);
+    context.res = { status: outcome.status, headers: JSON_HEADERS, body: outcome.body };
+}
+
+function pickRegionFields(body) {
+    var fields = {};
+    ['countrySet', 'bias', 'boundingBox', 'policy'].forEach(function(field) {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+}
+
+async function geocodeBatch(context, req, providers) {
+    var items = Array.isArray(req.body) ? req.body : req.body && req.body.addresses;
+    if (!Array.isArray(items) || items.length === 0) {
+        context.res = { status: 400, headers: JSON_HEADERS, body: { success: false, error: 'addresses must be a non-empty array' } };
+        return;
+    }
+    var settings = getBatchSettings();
+    if (items.length > settings.maxItems) {
+        context.res = { status: 400, headers: JSON_HEADERS, body: { success: false, error: 'Batch size exceeds maximum of ' + settings.maxItems + ' at ' + settings.requestsPerSecond + ' requests per second' } };
+        return;
+    }
+
+    // countrySet, bias, boundingBox and policy on the batch body apply to items that do not set their own
+    var defaults = Array.isArray(req.body) ? {} : pickRegionFields(req.body);
+    var limited = rateLimitProviders(providers, createRateLimiter(settings.requestsPerSecond));
 
-        const req = https.request(options, function(res) {
-            let data = '';
-            res.on('data', function(chunk) { data += chunk; });
-            res.on('end', function() {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        resolve(JSON.parse(data));
-                    } catch (e) {
-                        reject(new Error('Invalid JSON response'));
-                    }
-                } else {
-                    reject(new Error('Azure Maps API error: ' + res.statusCode));
-                }
-            });
-        });
-
-        req.on('error', reject);
-        req.on('timeout', function() { req.destroy(); reject(new Error('Request timeout')); });
-        req.end();
+    var results = await mapWithConcurrency(items, settings.concurrency, async function(item, index) {
+        var id = item && item.id !== undefined ? item.id : null;
+        var request = parseAddressRequest(item && typeof item === 'object' ? { ...defaults, ...item } : item);
+        if (!request.valid) return { index: index, id: id, success: false, error: request.error };
+
+        var outcome = await lookupAddress(context, request, limited);
+        return { index: index, id: id, ...outcome.body };
     });
+
+    context.res = { status: 200, headers: JSON_HEADERS, body: { results: results, summary: summarizeBatch(results) } };
+}
+
+async function reverseGeocode(context, req, providers) {
+    var body = req.body || {};
+    var coordinates = validateCoordinates(body.latitude, body.longitude);
+    if (!coordinates.valid) {
+        context.res = { status: 400, headers: JSON_HEADERS, body: { success: false, error: coordinates.error } };
+        return;
+    }
+
+    var cache = getGeocodeCache();
+    var cacheKey = 'reverse:' + coordinates.latitude.toFixed(REVERSE_CACHE_PRECISION) + ',' + coordinates.longitude.toFixed(REVERSE_CACHE_PRECISION);
+
+    var cached = await readCache(context, cache, cacheKey);
+    if (cached) {
+        context.res = { status: 200, headers: JSON_HEADERS, body: { ...cached.value, cache: { hit: true, cachedAt: cached.cachedAt, expiresAt: cached.expiresAt } } };
+        return;
+    }
+
+    try {
+        var lookup = await withFallback(providers, function(provider) {
+            return provider.reverse(coordinates.latitude, coordinates.longitude);
+        }, context.log);
+
+        if (!lookup.result) {
+            context.res = { status: 200, headers: JSON_HEADERS, body: { success: false, latitude: coordinates.latitude, longitude: coordinates.longitude, formattedAddress: null, error: 'No address found', cache: { hit: false } } };
+            return;
+        }
+
+        var result = buildReverseResult(coordinates.latitude, coordinates.longitude, lookup.result, lookup.provider);
+        await writeCache(context, cache, cacheKey, result);
+
+        context.res = { status: 200, headers: JSON_HEADERS, body: { ...result, cache: { hit: false } } };
+    } catch (error) {
+        context.log.error('Reverse geocoding error: ' + error.message);
+        context.res = { status: 500, headers: JSON_HEADERS, body: { success: false, error: 'Geocoding service unavailable' } };
+    }
 }
 
 module.exports = async function (context, req) {
@@ -57,42 +238,28 @@ module.exports = async function (context, req) {
         return;
     }
 
-    var azureMapsKey = process.env.AZURE_MAPS_KEY;
-    if (!azureMapsKey) {
-        context.log.error('AZURE_MAPS_KEY not set');
-        context.res = { status: 500, headers: { 'Content-Type': 'application/json' }, body: { success: false, error: 'Geocoding service not configured' } };
+    var operation = req.params && req.params.operation;
+    if (operation && operation !== 'reverse' && operation !== 'batch') {
+        context.res = { status: 404, headers: JSON_HEADERS, body: { success: false, error: 'Unknown geocoding route: ' + operation } };
         return;
     }
 
-    if (!req.body || !req.body.address || typeof req.body.address !== 'string' || req.body.address.trim() === '') {
-        context.res = { status: 400, headers: { 'Content-Type': 'application/json' }, body: { success: false, error: 'Address is required' } };
+    var providers;
+    try {
+        providers = getGeocodeProviders();
+    } catch (error) {
+        context.log.error('Geocoding providers not configured: ' + error.message);
+        context.res = { status: 500, headers: JSON_HEADERS, body: { success: false, error: 'Geocoding service not configured' } };
         return;
     }
 
-    var trimmedAddress = req.body.address.trim();
-
-    try {
-        var data = await callAzureMaps(trimmedAddress, azureMapsKey);
-
-        if (!data.results || data.results.length === 0) {
-            context.res = { status: 200, headers: { 'Content-Type': 'application/json' }, body: { success: false, latitude: null, longitude: null, formattedAddress: null, confidence: null, error: 'No results found' } };
-            return;
-        }
-
-        var result = data.results[0];
-        context.res = {
-            status: 200,
-            headers: { 'Content-Type': 'application/json' },
-            body: {
-                success: true,
-                latitude: result.position.lat,
-                longitude: result.position.lon,
-                formattedAddress: result.address.freeformAddress || null,
-                confidence: getConfidence(result.score || 0)
-            }
-        };
-    } catch (error) {
-        context.log.error('Geocoding error: ' + error.message);
-        context.res = { status: 500, headers: { 'Content-Type': 'application/json' }, body: { success: false, error: 'Geocoding service unavailable' } };
+    if (operation === 'reverse') {
+        await reverseGeocode(context, req, providers);
+        return;
+    }
+    if (operation === 'batch') {
+        await geocodeBatch(context, req, providers);
+        return;
     }
+    await geocodeAddress(context, req, providers);
 };
@@ -0,0 +1,574 @@
+const { EventEmitter } = require('events');
+const https = require('https');
+const geocodeLocation = require('./index');
+const { createInMemoryGeocodeCache, setGeocodeCache } = require('./geocodeCache');
+const { setGeocodeProviders } = require('./providers');
+const { startFakeTokenIssuer } = require('../testSupport/fakeTokenIssuer');
+
+jest.mock('https');
+
+// Replies to every Azure Maps request with the given status and JSON body
+function mockAzureMaps(statusCode, body) {
+    https.request.mockImplementation((options, callback) => {
+        const request = new EventEmitter();
+        request.end = () => {
+            const response = new EventEmitter();
+            response.statusCode = statusCode;
+            callback(response);
+            response.emit('data', JSON.stringify(body));
+            response.emit('end');
+        };
+        return request;
+    });
+}
+
+describe('GeocodeLocation Azure Function', () => {
+    let context;
+    const found = { results: [{ score: 9.5, position: { lat: -33.8688, lon: 151.2093 }, address: { freeformAddress: '123 Main Street, Sydney NSW 2000' } }] };
+
+    beforeEach(() => {
+        context = { log: jest.fn(), res: null };
+        context.log.error = jest.fn();
+        context.log.warn = jest.fn();
+        process.env.AZURE_MAPS_KEY = 'test-key';
+        delete process.env.GEOCODE_PROVIDERS;
+        setGeocodeProviders(null);
+        setGeocodeCache(createInMemoryGeocodeCache());
+        https.request.mockReset();
+    });
+
+    test('geocodes an address and reports a cache miss', async () => {
+        mockAzureMaps(200, found);
+
+        await geocodeLocation(context, { body: { address: '123 Main Street, Sydney NSW 2000' } });
+
+        expect(context.res.status).toBe(200);
+        expect(context.res.body).toMatchObject({ success: true, latitude: -33.8688, longitude: 151.2093, confidence: 'High', provider: 'azure-maps', cache: { hit: false } });
+    });
+
+    test('geocodes the address as typed and suggests the normalised one in its quality assessment', async () => {
+        const geocode = jest.fn().mockResolvedValue([]);
+        setGeocodeProviders([{ name: 'stub', geocode }]);
+
+        await geocodeLocation(context, { body: { address: '  near the mall ' } });
+
+        expect(geocode).toHaveBeenCalledWith('near the mall', { limit: 5, region: null });
+        expect(context.res.body.addressQuality).toMatchObject({ normalized: 'Near the Mall', level: 'Poor', warn: true, landmark: 'mall' });
+        expect(context.res.body.addressQuality.issues.map(issue => issue.code)).toContain('RELATIVE_LOCATION');
+    });
+
+    test.each([
+        ['100 Main St, Hartford, CT 06103', '100 Main Street, Hartford, CT 06103'],
+        ['Helena MT 59601', 'Helena MT 59601'],
+        ['12 Dr Martin Luther King Jr Blvd, Atlanta, GA 30303', '12 Dr Martin Luther King Jr Boulevard, Atlanta, GA 30303']
+    ])('sends US address %p to the provider unchanged', async (address, normalized) => {
+        const geocode = jest.fn().mockResolvedValue([]);
+        setGeocodeProviders([{ name: 'stub', geocode }]);
+
+        await geocodeLocation(context, { body: { address } });
+
+        expect(geocode).toHaveBeenCalledWith(address, { limit: 5, region: null });
+        expect(context.res.body.addressQuality.normalized).toBe(normalized);
+    });
+
+    test('serves repeat lookups of the same normalised address from cache', async () => {
+        mockAzureMaps(200, found);
+
+        await geocodeLocation(context, { body: { address: '123 Main Street, Sydney NSW 2000' } });
+        await geocodeLocation(context, { body: { address: ' 123 MAIN STREET  Sydney NSW 2000 ' } });
+
+        expect(https.request).toHaveBeenCalledTimes(1);
+        expect(context.res.body.latitude).toBe(-33.8688);
+        expect(context.res.body.cache).toEqual({ hit: true, cachedAt: expect.any(String), expiresAt: expect.any(String) });
+    });
+
+    test('does not cache empty results', async () => {
+        mockAzureMaps(200, { results: [] });
+
+        await geocodeLocation(context, { body: { address: 'Nowhere' } });
+        await geocodeLocation(context, { body: { address: 'Nowhere' } });
+
+        expect(https.request).toHaveBeenCalledTimes(2);
+        expect(context.res.body).toMatchObject({ success: false, error: 'No results found' });
+    });
+
+    test('falls through to Azure Maps when the cache fails', async () => {
+        mockAzureMaps(200, found);
+        setGeocodeCache({ get: jest.fn().mockRejectedValue(new Error('down')), set: jest.fn().mockRejectedValue(new Error('down')) });
+
+        await geocodeLocation(context, { body: { address: '123 Main Street, Sydney NSW 2000' } });
+
+        expect(context.res.body.success).toBe(true);
+        expect(context.log.warn).toHaveBeenCalledTimes(2);
+    });
+
+    test('works with caching disabled', async () => {
+        mockAzureMaps(200, found);
+        setGeocodeCache(null);
+
+        await geocodeLocation(context, { body: { address: '123 Main Street, Sydney NSW 2000' } });
+
+        expect(context.res.body.cache).toEqual({ hit: false });
+    });
+
+    test('returns 400 without an address', async () => {
+        await geocodeLocation(context, { body: {} });
+
+        expect(context.res.status).toBe(400);
+        expect(https.request).not.toHaveBeenCalled();
+    });
+
+    test('returns the structured address of the top match', async () => {
+        mockAzureMaps(200, { results: [{ ...found.results[0], address: {
+            freeformAddress: '123 Main Street, Sydney NSW 2000',
+            streetNumber: '123',
+            streetName: 'Main Street',
+            municipality: 'Sydney',
+            municipalitySubdivision: 'Sydney',
+            countrySubdivision: 'NSW',
+            countrySubdivisionName: 'New South Wales',
+            postalCode: '2000',
+            countryCode: 'AU',
+            country: 'Australia'
+        } }] });
+
+        await geocodeLocation(context, { body: { address: '123 Main Street, Sydney NSW 2000' } });
+
+        expect(context.res.body.address).toEqual({
+            streetNumber: '123',
+            streetName: 'Main Street',
+            municipality: 'Sydney',
+            municipalitySubdivision: 'Sydney',
+            countrySubdivision: 'NSW',
+            countrySubdivisionName: 'New South Wales',
+            postalCode: '2000',
+            countryCode: 'AU',
+            country: 'Australia'
+        });
+    });
+
+    describe('candidates and ambiguity', () => {
+        const springfield = {
+            results: [
+                { score: 8.2, position: { lat: 39.8, lon: -89.64 }, address: { freeformAddress: 'Main Street, Springfield, IL 62701' } },
+                { score: 8.0, position: { lat: 42.1, lon: -72.59 }, address: { freeformAddress: 'Main Street, Springfield, MA 01103' } },
+                { score: 5.1, position: { lat: 37.2, lon: -93.29 }, address: { freeformAddress: 'Main Street, Springfield, MO 65806' } }
+            ]
+        };
+
+        test('flags a close runner-up as ambiguous without listing candidates by default', async () => {
+            mockAzureMaps(200, springfield);
+
+            await geocodeLocation(context, { body: { address: 'Main St, Springfield' } });
+
+            expect(context.res.body).toMatchObject({ success: true, formattedAddress: 'Main Street, Springfield, IL 62701', confidence: 'Medium', ambiguous: true });
+            expect(context.res.body.candidates).toBeUndefined();
+            expect(https.request.mock.calls[0][0].path).toContain('limit=5');
+        });
+
+        test('returns the top N candidates with scores and confidence', async () => {
+            mockAzureMaps(200, springfield);
+
+            await geocodeLocation(context, { body: { address: 'Main St, Springfield', maxCandidates: 2 } });
+
+            expect(context.res.body.candidates).toEqual([
+                expect.objectContaining({ latitude: 39.8, longitude: -89.64, formattedAddress: 'Main Street, Springfield, IL 62701', score: 8.2, confidence: 'Medium' }),
+                expect.objectContaining({ latitude: 42.1, longitude: -72.59, formattedAddress: 'Main Street, Springfield, MA 01103', score: 8.0, confidence: 'Medium' })
+            ]);
+        });
+
+        test('cached lookups still honour maxCandidates', async () => {
+            mockAzureMaps(200, springfield);
+
+            await geocodeLocation(context, { body: { address: 'Main St, Springfield' } });
+            await geocodeLocation(context, { body: { address: 'Main St, Springfield', maxCandidates: 3 } });
+
+            expect(https.request).toHaveBeenCalledTimes(1);
+            expect(context.res.body.candidates).toHaveLength(3);
+        });
+
+        test('a distant runner-up or a duplicate of the top match is not ambiguous', async () => {
+            mockAzureMaps(200, { results: [found.results[0], { ...found.results[0], score: 9.4 }, { ...springfield.results[2] }] });
+
+            await geocodeLocation(context, { body: { address: '123 Main Street, Sydney NSW 2000' } });
+
+            expect(context.res.body.ambiguous).toBe(false);
+        });
+
+        test.each([0, 6, 1.5, 'many'])('returns 400 for maxCandidates %p', async maxCandidates => {
+            await geocodeLocation(context, { body: { address: 'Main St, Springfield', maxCandidates } });
+
+            expect(context.res.status).toBe(400);
+            expect(https.request).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reverse geocoding', () => {
+        const reverseFound = {
+            addresses: [{
+                position: '-33.868800,151.209300',
+                address: {
+                    freeformAddress: '123 Main Street, Sydney NSW 2000',
+                    streetNameAndNumber: '123 Main Street',
+                    municipality: 'Sydney',
+                    postalCode: '2000',
+                    country: 'Australia',
+                    countryCode: 'AU'
+                }
+            }]
+        };
+
+        test('returns the address parts for coordinates', async () => {
+            mockAzureMaps(200, reverseFound);
+
+            await geocodeLocation(context, { params: { operation: 'reverse' }, body: { latitude: '-33.8688', longitude: 151.2093 } });
+
+            expect(context.res.status).toBe(200);
+            expect(context.res.body).toEqual({
+                success: true,
+                latitude: -33.8688,
+                longitude: 151.2093,
+                formattedAddress: '123 Main Street, Sydney NSW 2000',
+                address: expect.objectContaining({ streetNumber: '123', streetName: 'Main Street', municipality: 'Sydney', postalCode: '2000', countryCode: 'AU' }),
+                streetAddress: '123 Main Street',
+                locality: 'Sydney',
+                postcode: '2000',
+                country: 'Australia',
+                countryCode: 'AU',
+                provider: 'azure-maps',
+                cache: { hit: false }
+            });
+            expect(https.request.mock.calls[0][0].path).toContain('/search/address/reverse/json');
+            expect(https.request.mock.calls[0][0].path).toContain('query=-33.8688%2C151.2093');
+        });
+
+        test('caches reverse lookups by rounded coordinates', async () => {
+            mockAzureMaps(200, reverseFound);
+
+            await geocodeLocation(context, { params: { operation: 'reverse' }, body: { latitude: -33.8688, longitude: 151.2093 } });
+            await geocodeLocation(context, { params: { operation: 'reverse' }, body: { latitude: -33.868800001, longitude: 151.2093 } });
+
+            expect(https.request).toHaveBeenCalledTimes(1);
+            expect(context.res.body.cache.hit).toBe(true);
+        });
+
+        test('reports when no address is found', async () => {
+            mockAzureMaps(200, { addresses: [] });
+
+            await geocodeLocation(context, { params: { operation: 'reverse' }, body: { latitude: 0, longitude: 0 } });
+
+            expect(context.res.body).toMatchObject({ success: false, error: 'No address found' });
+        });
+
+        test.each([
+            [{ longitude: 151 }, 'Latitude is required'],
+            [{ latitude: -33, longitude: 200 }, 'Longitude must be between -180 and 180']
+        ])('returns 400 for invalid coordinates %p', async (body, error) => {
+            await geocodeLocation(context, { params: { operation: 'reverse' }, body });
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.error).toBe(error);
+        });
+
+        test('returns 500 when Azure Maps fails', async () => {
+            mockAzureMaps(503, {});
+
+            await geocodeLocation(context, { params: { operation: 'reverse' }, body: { latitude: -33.8688, longitude: 151.2093 } });
+
+            expect(context.res.status).toBe(500);
+        });
+    });
+
+    test('returns 404 for unknown routes', async () => {
+        await geocodeLocation(context, { params: { operation: 'forward' }, body: { address: 'x' } });
+
+        expect(context.res.status).toBe(404);
+    });
+
+    describe('provider fallback', () => {
+        test('falls back to the offline gazetteer when Azure Maps fails', async () => {
+            mockAzureMaps(503, {});
+            process.env.GEOCODE_PROVIDERS = 'azure-maps,gazetteer';
+
+            await geocodeLocation(context, { body: { address: '1 Unknown Lane, Parramatta NSW 2150' } });
+
+            expect(context.res.status).toBe(200);
+            expect(context.res.body).toMatchObject({ success: true, provider: 'gazetteer', latitude: -33.815, confidence: 'Medium' });
+            expect(context.log.warn).toHaveBeenCalledWith(expect.stringContaining('azure-maps failed'));
+        });
+
+        test('falls back when Azure Maps returns no results', async () => {
+            mockAzureMaps(200, { results: [] });
+            process.env.GEOCODE_PROVIDERS = 'azure-maps,gazetteer';
+
+            await geocodeLocation(context, { body: { address: 'Hobart TAS 7000' } });
+
+            expect(context.res.body.provider).toBe('gazetteer');
+            expect(context.res.body.address).toMatchObject({ municipality: 'Hobart', postalCode: '7000', countryCode: 'AU' });
+        });
+
+        test('returns 500 when every provider fails', async () => {
+            setGeocodeProviders([
+                { name: 'a', geocode: jest.fn().mockRejectedValue(new Error('down')) },
+                { name: 'b', geocode: jest.fn().mockRejectedValue(new Error('quota')) }
+            ]);
+
+            await geocodeLocation(context, { body: { address: '123 Main Street' } });
+
+            expect(context.res.status).toBe(500);
+        });
+
+        test('returns 500 when a configured provider is missing its settings', async () => {
+            process.env.GEOCODE_PROVIDERS = 'nominatim';
+            delete process.env.NOMINATIM_URL;
+
+            await geocodeLocation(context, { body: { address: '123 Main Street' } });
+
+            expect(context.res.status).toBe(500);
+            expect(context.res.body.error).toBe('Geocoding service not configured');
+        });
+    });
+
+    describe('batch geocoding', () => {
+        beforeEach(() => {
+            process.env.GEOCODE_RATE_LIMIT_PER_SECOND = '1000';
+        });
+
+        afterEach(() => {
+            delete process.env.GEOCODE_RATE_LIMIT_PER_SECOND;
+            delete process.env.GEOCODE_BATCH_CONCURRENCY;
+        });
+
+        test('returns per-item results keyed by client id, including failures', async () => {
+            process.env.GEOCODE_BATCH_CONCURRENCY = '1';
+            setGeocodeProviders([{
+                name: 'stub',
+                geocode: jest.fn(async address => {
+                    if (address === 'nowhere') return [];
+                    if (address === 'broken') throw new Error('boom');
+                    return [{ latitude: 1, longitude: 2, formattedAddress: address, address: {}, confidence: 'High', score: 9 }];
+                })
+            }]);
+
+            await geocodeLocation(context, {
+                params: { operation: 'batch' },
+                body: { addresses: [
+                    { id: 'CLM-1', address: '1 Main St' },
+                    { id: 'CLM-2', address: 'nowhere' },
+                    { id: 'CLM-3' },
+                    { id: 'CLM-4', address: 'broken' },
+                    { id: 'CLM-5', address: '1 Main St' }
+                ] }
+            });
+
+            expect(context.res.status).toBe(200);
+            const { results, summary } = context.res.body;
+            expect(results.map(item => item.id)).toEqual(['CLM-1', 'CLM-2', 'CLM-3', 'CLM-4', 'CLM-5']);
+            expect(results[0]).toMatchObject({ index: 0, success: true, latitude: 1, provider: 'stub' });
+            expect(results[1]).toMatchObject({ success: false, error: 'No results found' });
+            expect(results[2]).toEqual({ index: 2, id: 'CLM-3', success: false, error: 'Address is required' });
+            expect(results[3]).toMatchObject({ success: false, error: 'Geocoding service unavailable' });
+            expect(summary).toEqual({ total: 5, succeeded: 2, noResults: 1, failed: 2, cacheHits: 1 });
+        });
+
+        test('accepts a bare array of items', async () => {
+            mockAzureMaps(200, found);
+
+            await geocodeLocation(context, { params: { operation: 'batch' }, body: [{ id: 7, address: '123 Main Street, Sydney NSW 2000' }] });
+
+            expect(context.res.body.results[0]).toMatchObject({ id: 7, success: true, provider: 'azure-maps' });
+        });
+
+        test('runs no more than GEOCODE_BATCH_CONCURRENCY lookups at once', async () => {
+            process.env.GEOCODE_BATCH_CONCURRENCY = '2';
+            let active = 0;
+            let peak = 0;
+            setGeocodeProviders([{
+                name: 'stub',
+                geocode: jest.fn(async address => {
+                    active++;
+                    peak = Math.max(peak, active);
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                    active--;
+                    return [{ latitude: 1, longitude: 2, formattedAddress: address, address: {}, confidence: 'High', score: 9 }];
+                })
+            }]);
+
+            await geocodeLocation(context, { params: { operation: 'batch' }, body: { addresses: ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, address: id })) } });
+
+            expect(context.res.body.summary.succeeded).toBe(5);
+            expect(peak).toBe(2);
+        });
+
+        test.each([
+            [{}, 'addresses must be a non-empty array'],
+            [{ addresses: [] }, 'addresses must be a non-empty array'],
+            [{ addresses: Array.from({ length: 1001 }, (_, id) => ({ id, address: 'x' })) }, 'Batch size exceeds maximum of 1000 at 1000 requests per second']
+        ])('returns 400 for batch body %#', async (body, error) => {
+            await geocodeLocation(context, { params: { operation: 'batch' }, body });
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.error).toBe(error);
+        });
+
+        test('limits the batch size to what the rate limit can geocode before the HTTP timeout', async () => {
+            process.env.GEOCODE_RATE_LIMIT_PER_SECOND = '1';
+
+            await geocodeLocation(context, { params: { operation: 'batch' }, body: { addresses: Array.from({ length: 121 }, (_, id) => ({ id, address: 'x' })) } });
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.error).toBe('Batch size exceeds maximum of 120 at 1 requests per second');
+        });
+    });
+
+    describe('region constraints', () => {
+        const springfields = { results: [
+            { score: 9.6, position: { lat: 39.8, lon: -89.64 }, address: { freeformAddress: 'Springfield, IL', countryCode: 'US' } },
+            { score: 9.5, position: { lat: -27.68, lon: 152.91 }, address: { freeformAddress: 'Springfield QLD 4300', countryCode: 'AU' } }
+        ] };
+
+        afterEach(() => {
+            delete process.env.GEOCODE_DEFAULT_COUNTRY_SET;
+        });
+
+        test('passes countrySet, bias and bounding box to Azure Maps', async () => {
+            mockAzureMaps(200, found);
+
+            await geocodeLocation(context, { body: {
+                address: '123 Main Street, Sydney NSW 2000',
+                countrySet: ['AU'],
+                bias: { latitude: -33.87, longitude: 151.21 },
+                boundingBox: { north: -10, south: -44, east: 154, west: 113 }
+            } });
+
+            const query = new URLSearchParams(https.request.mock.calls[0][0].path.split('?')[1]);
+            expect(query.get('countrySet')).toBe('AU');
+            expect(query.get('lat')).toBe('-33.87');
+            expect(query.get('lon')).toBe('151.21');
+            expect(query.get('topLeft')).toBe('-10,113');
+            expect(query.get('btmRight')).toBe('-44,154');
+            expect(context.res.body.region).toMatchObject({ countrySet: ['AU'], countrySource: 'request' });
+        });
+
+        test('defaults countrySet from the policy country and drops matches outside it', async () => {
+            mockAzureMaps(200, springfields);
+
+            await geocodeLocation(context, { body: { address: 'Springfield', policy: { new_country: 'Australia' } } });
+
+            expect(https.request.mock.calls[0][0].path).toContain('countrySet=AU');
+            expect(context.res.body).toMatchObject({ success: true, formattedAddress: 'Springfield QLD 4300', ambiguous: false, region: { countrySource: 'policy' } });
+        });
+
+        test('falls back to the next provider when every match is out of region', async () => {
+            mockAzureMaps(200, { results: [springfields.results[0]] });
+            process.env.GEOCODE_PROVIDERS = 'azure-maps,gazetteer';
+            process.env.GEOCODE_DEFAULT_COUNTRY_SET = 'AU';
+
+            await geocodeLocation(context, { body: { address: 'Hobart TAS 7000' } });
+
+            expect(context.res.body).toMatchObject({ success: true, provider: 'gazetteer', region: { countrySet: ['AU'], countrySource: 'default' } });
+        });
+
+        test('reports how many matches were rejected when none are in region', async () => {
+            mockAzureMaps(200, { results: [springfields.results[0]] });
+
+            await geocodeLocation(context, { body: { address: 'Springfield', countrySet: 'NZ' } });
+
+            expect(context.res.body).toMatchObject({ success: false, error: 'No results found', outOfRegion: 1 });
+        });
+
+        test('treats a provider that resolves null as finding nothing', async () => {
+            setGeocodeProviders([{ name: 'empty', geocode: jest.fn().mockResolvedValue(null) }]);
+
+            await geocodeLocation(context, { body: { address: 'Springfield', countrySet: 'AU' } });
+
+            expect(context.res.status).toBe(200);
+            expect(context.res.body).toMatchObject({ success: false, error: 'No results found', outOfRegion: 0 });
+        });
+
+        test('caches results per region', async () => {
+            mockAzureMaps(200, springfields);
+
+            await geocodeLocation(context, { body: { address: 'Springfield', countrySet: 'AU' } });
+            await geocodeLocation(context, { body: { address: 'Springfield', countrySet: 'US' } });
+
+            expect(https.request).toHaveBeenCalledTimes(2);
+            expect(context.res.body.formattedAddress).toBe('Springfield, IL');
+        });
+
+        test('applies batch-level region fields to items without their own', async () => {
+            mockAzureMaps(200, springfields);
+
+            await geocodeLocation(context, { params: { operation: 'batch' }, body: {
+                countrySet: 'AU',
+                addresses: [{ id: 1, address: 'Springfield' }, { id: 2, address: 'Springfield', countrySet: 'US' }]
+            } });
+
+            expect(context.res.body.results.map(item => item.formattedAddress)).toEqual(['Springfield QLD 4300', 'Springfield, IL']);
+        });
+
+        test('returns 400 for an invalid region', async () => {
+            await geocodeLocation(context, { body: { address: 'Springfield', countrySet: 'Australia' } });
+
+            expect(context.res.status).toBe(400);
+            expect(context.res.body.error).toBe('countrySet must be a list of two-letter country codes');
+        });
+    });
+
+    describe('Azure Maps authentication', () => {
+        afterEach(() => {
+            ['AZURE_MAPS_AUTH', 'AZURE_MAPS_CLIENT_ID', 'IDENTITY_ENDPOINT', 'IDENTITY_HEADER'].forEach(name => delete process.env[name]);
+        });
+
+        test('sends the subscription key as a header, never in the URL', async () => {
+            mockAzureMaps(200, found);
+
+            await geocodeLocation(context, { body: { address: '123 Main Street, Sydney NSW 2000' } });
+            await geocodeLocation(context, { params: { operation: 'reverse' }, body: { latitude: -33.8688, longitude: 151.2093 } });
+
+            https.request.mock.calls.forEach(([options]) => {
+                expect(options.path).not.toContain('test-key');
+                expect(options.headers['subscription-key']).toBe('test-key');
+            });
+        });
+
+        test('uses a managed identity token when configured', async () => {
+            const issuer = await startFakeTokenIssuer();
+            try {
+                mockAzureMaps(200, found);
+                process.env.AZURE_MAPS_AUTH = 'managed-identity';
+                process.env.AZURE_MAPS_CLIENT_ID = 'maps-account-id';
+                process.env.IDENTITY_ENDPOINT = issuer.identityEndpoint;
+                process.env.IDENTITY_HEADER = 'fake-identity-header';
+
+                await geocodeLocation(context, { body: { address: '123 Main Street, Sydney NSW 2000' } });
+
+                const { headers } = https.request.mock.calls[0][0];
+                expect(context.res.body.success).toBe(true);
+                expect(issuer.issued.has(headers.Authorization.replace('Bearer ', ''))).toBe(true);
+                expect(headers['x-ms-client-id']).toBe('maps-account-id');
+                expect(headers['subscription-key']).toBeUndefined();
+            } finally {
+                await issuer.close();
+            }
+        });
+
+        test('returns 500 when the token cannot be obtained', async () => {
+            const issuer = await startFakeTokenIssuer();
+            try {
+                process.env.AZURE_MAPS_AUTH = 'managed-identity';
+                process.env.AZURE_MAPS_CLIENT_ID = 'maps-account-id';
+                process.env.IDENTITY_ENDPOINT = issuer.identityEndpoint;
+                process.env.IDENTITY_HEADER = 'wrong';
+
+                await geocodeLocation(context, { body: { address: '123 Main Street, Sydney NSW 2000' } });
+
+                expect(context.res.status).toBe(500);
+                expect(https.request).not.toHaveBeenCalled();
+                expect(context.log.warn).toHaveBeenCalledWith(expect.stringContaining('Managed identity token API error: 401'));
+            } finally {
+                await issuer.close();
+            }
+        });
+    });
+});
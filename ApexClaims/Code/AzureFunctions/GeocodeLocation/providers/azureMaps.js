@@ -0,0 +1,62 @@
+const { getJson } = require('./httpJson');
+const { fromAzureMapsAddress } = require('../structuredAddress');
+
+const AZURE_MAPS_HOST = 'atlas.microsoft.com';
+
+// Azure Maps search scores run roughly 0-10+
+function getConfidence(score) {
+    if (score >= 9.0) return 'High';
+    if (score >= 7.0) return 'Medium';
+    if (score >= 5.0) return 'Low';
+    return 'VeryLow';
+}
+
+function toCandidate(result) {
+    return {
+        latitude: result.position.lat,
+        longitude: result.position.lon,
+        formattedAddress: result.address.freeformAddress || null,
+        address: fromAzureMapsAddress(result.address),
+        score: result.score || 0,
+        confidence: getConfidence(result.score || 0)
+    };
+}
+
+// countrySet restricts the search; lat/lon bias ranking; topLeft/btmRight restrict it to a box
+function regionParams(region) {
+    if (!region) return '';
+    let params = '';
+    if (region.countrySet) params += '&countrySet=' + region.countrySet.join(',');
+    if (region.bias) params += '&lat=' + region.bias.latitude + '&lon=' + region.bias.longitude;
+    if (region.boundingBox) {
+        const box = region.boundingBox;
+        params += '&topLeft=' + encodeURIComponent(box.north + ',' + box.west) + '&btmRight=' + encodeURIComponent(box.south + ',' + box.east);
+    }
+    return params;
+}
+
+// credential comes from credentials.js and supplies the auth headers for each request
+function createAzureMapsProvider(credential) {
+    const request = async path => getJson({ hostname: AZURE_MAPS_HOST, path: path, headers: await credential.getHeaders(), label: 'Azure Maps' });
+
+    return {
+        name: 'azure-maps',
+        async geocode(address, options) {
+            const data = await request('/search/address/json?api-version=1.0&query=' + encodeURIComponent(address) +
+                '&limit=' + options.limit + '&language=en-US' + regionParams(options.region));
+            return (data.results || []).map(toCandidate);
+        },
+        async reverse(latitude, longitude) {
+            const data = await request('/search/address/reverse/json?api-version=1.0&query=' +
+                encodeURIComponent(latitude + ',' + longitude) + '&language=en-US');
+            if (!data.addresses || data.addresses.length === 0) return null;
+            const match = data.addresses[0].address || {};
+            return { formattedAddress: match.freeformAddress || null, address: fromAzureMapsAddress(match) };
+        }
+    };
+}
+
+module.exports = {
+    getConfidence,
+    createAzureMapsProvider
+};
@@ -0,0 +1,136 @@
+const { requestJson } = require('./httpJson');
+
+// Azure Maps credentials. A credential is { type, async getHeaders() } and the provider adds those
+// headers to every request, so neither the key nor a token ever appears in a URL. AZURE_MAPS_AUTH
+// selects 'key' (subscription-key header, the default), 'client-credentials' (Entra ID app
+// registration) or 'managed-identity' (the Function App's identity). Token auth also needs
+// AZURE_MAPS_CLIENT_ID, the Maps account's client id, sent as x-ms-client-id.
+
+const MAPS_SCOPE = 'https://atlas.microsoft.com/.default';
+const MAPS_RESOURCE = 'https://atlas.microsoft.com/';
+const DEFAULT_AUTHORITY_HOST = 'https://login.microsoftonline.com';
+const MANAGED_IDENTITY_API_VERSION = '2019-08-01';
+// Tokens are refreshed this long before they expire so an in-flight request never carries a stale one
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+function createKeyCredential(key) {
+    return {
+        type: 'key',
+        async getHeaders() {
+            return { 'subscription-key': key };
+        }
+    };
+}
+
+function endpointOptions(url) {
+    const target = new URL(url);
+    return { protocol: target.protocol, hostname: target.hostname, port: target.port || undefined, path: target.pathname + target.search };
+}
+
+// tokenSource.getToken() resolves to { token, expiresOnTimestamp } (ms since epoch)
+function createTokenCredential(tokenSource, mapsClientId) {
+    let cached = null;
+    let pending = null;
+
+    async function getToken() {
+        if (cached && cached.expiresOnTimestamp - REFRESH_MARGIN_MS > Date.now()) return cached.token;
+        // Concurrent batch lookups share one token request
+        if (!pending) {
+            pending = tokenSource.getToken()
+                .then(result => { cached = result; return result.token; })
+                .finally(() => { pending = null; });
+        }
+        return pending;
+    }
+
+    return {
+        type: 'token',
+        async getHeaders() {
+            return { 'Authorization': 'Bearer ' + await getToken(), 'x-ms-client-id': mapsClientId };
+        }
+    };
+}
+
+function createClientCredentialsTokenSource(options) {
+    const authorityHost = (options.authorityHost || DEFAULT_AUTHORITY_HOST).replace(/\/$/, '');
+    const url = authorityHost + '/' + encodeURIComponent(options.tenantId) + '/oauth2/v2.0/token';
+
+    return {
+        async getToken() {
+            const body = new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_id: options.clientId,
+                client_secret: options.clientSecret,
+                scope: MAPS_SCOPE
+            }).toString();
+            const data = await requestJson({
+                ...endpointOptions(url),
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body,
+                label: 'Entra ID token'
+            });
+            if (!data.access_token) throw new Error('Entra ID token response has no access_token');
+            return { token: data.access_token, expiresOnTimestamp: Date.now() + Number(data.expires_in) * 1000 };
+        }
+    };
+}
+
+// App Service / Functions managed identity endpoint (IDENTITY_ENDPOINT and IDENTITY_HEADER are set
+// by the platform). clientId picks a user-assigned identity; omit it for the system-assigned one.
+function createManagedIdentityTokenSource(options) {
+    return {
+        async getToken() {
+            const params = new URLSearchParams({ resource: MAPS_RESOURCE, 'api-version': MANAGED_IDENTITY_API_VERSION });
+            if (options.clientId) params.set('client_id', options.clientId);
+            const data = await requestJson({
+                ...endpointOptions(options.endpoint + '?' + params.toString()),
+                headers: { 'X-IDENTITY-HEADER': options.identityHeader },
+                label: 'Managed identity token'
+            });
+            if (!data.access_token) throw new Error('Managed identity response has no access_token');
+            return { token: data.access_token, expiresOnTimestamp: Number(data.expires_on) * 1000 };
+        }
+    };
+}
+
+function requireSettings(settings, names, mode) {
+    const missing = names.filter(name => !settings[name]);
+    if (missing.length > 0) throw new Error(missing.join(', ') + ' not set for AZURE_MAPS_AUTH=' + mode);
+}
+
+function createAzureMapsCredential(env) {
+    const settings = env || process.env;
+    const mode = (settings.AZURE_MAPS_AUTH || 'key').toLowerCase();
+
+    if (mode === 'key') {
+        if (!settings.AZURE_MAPS_KEY) throw new Error('AZURE_MAPS_KEY not set');
+        return createKeyCredential(settings.AZURE_MAPS_KEY);
+    }
+    if (mode === 'client-credentials') {
+        requireSettings(settings, ['AZURE_MAPS_CLIENT_ID', 'AZURE_TENANT_ID', 'AZURE_CLIENT_ID', 'AZURE_CLIENT_SECRET'], mode);
+        return createTokenCredential(createClientCredentialsTokenSource({
+            authorityHost: settings.AZURE_AUTHORITY_HOST,
+            tenantId: settings.AZURE_TENANT_ID,
+            clientId: settings.AZURE_CLIENT_ID,
+            clientSecret: settings.AZURE_CLIENT_SECRET
+        }), settings.AZURE_MAPS_CLIENT_ID);
+    }
+    if (mode === 'managed-identity') {
+        requireSettings(settings, ['AZURE_MAPS_CLIENT_ID', 'IDENTITY_ENDPOINT', 'IDENTITY_HEADER'], mode);
+        return createTokenCredential(createManagedIdentityTokenSource({
+            endpoint: settings.IDENTITY_ENDPOINT,
+            identityHeader: settings.IDENTITY_HEADER,
+            clientId: settings.AZURE_MANAGED_IDENTITY_CLIENT_ID
+        }), settings.AZURE_MAPS_CLIENT_ID);
+    }
+    throw new Error('Unknown AZURE_MAPS_AUTH: ' + mode);
+}
+
+module.exports = {
+    createKeyCredential,
+    createTokenCredential,
+    createClientCredentialsTokenSource,
+    createManagedIdentityTokenSource,
+    createAzureMapsCredential
+};
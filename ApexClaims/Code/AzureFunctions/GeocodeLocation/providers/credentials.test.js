@@ -0,0 +1,99 @@
+const { createKeyCredential, createTokenCredential, createAzureMapsCredential } = require('./credentials');
+const { startFakeTokenIssuer } = require('../../testSupport/fakeTokenIssuer');
+
+describe('Azure Maps credentials', () => {
+    let issuer;
+
+    beforeAll(async () => {
+        issuer = await startFakeTokenIssuer();
+    });
+
+    afterAll(async () => {
+        await issuer.close();
+    });
+
+    beforeEach(() => {
+        issuer.requests.length = 0;
+    });
+
+    const clientCredentials = overrides => createAzureMapsCredential({
+        AZURE_MAPS_AUTH: 'client-credentials',
+        AZURE_MAPS_CLIENT_ID: 'maps-account-id',
+        AZURE_AUTHORITY_HOST: issuer.url,
+        AZURE_TENANT_ID: 'contoso',
+        AZURE_CLIENT_ID: 'fake-client-id',
+        AZURE_CLIENT_SECRET: 'fake-client-secret',
+        ...overrides
+    });
+
+    test('sends the subscription key as a header', async () => {
+        expect(await createKeyCredential('abc').getHeaders()).toEqual({ 'subscription-key': 'abc' });
+        expect(createAzureMapsCredential({ AZURE_MAPS_KEY: 'abc' }).type).toBe('key');
+    });
+
+    test('gets a client credentials token from the authority and reuses it', async () => {
+        const credential = clientCredentials();
+
+        const headers = await credential.getHeaders();
+        await credential.getHeaders();
+
+        expect(headers).toEqual({ 'Authorization': expect.stringMatching(/^Bearer fake-/), 'x-ms-client-id': 'maps-account-id' });
+        expect(issuer.issued.has(headers.Authorization.slice('Bearer '.length))).toBe(true);
+        expect(issuer.requests).toHaveLength(1);
+        expect(issuer.requests[0].path).toBe('/contoso/oauth2/v2.0/token');
+        expect(Object.fromEntries(new URLSearchParams(issuer.requests[0].body))).toMatchObject({
+            grant_type: 'client_credentials',
+            client_id: 'fake-client-id',
+            scope: 'https://atlas.microsoft.com/.default'
+        });
+    });
+
+    test('shares one token request between concurrent callers', async () => {
+        const credential = clientCredentials();
+
+        const [first, second] = await Promise.all([credential.getHeaders(), credential.getHeaders()]);
+
+        expect(first.Authorization).toBe(second.Authorization);
+        expect(issuer.requests).toHaveLength(1);
+    });
+
+    test('rejects when the authority refuses the client secret', async () => {
+        await expect(clientCredentials({ AZURE_CLIENT_SECRET: 'wrong' }).getHeaders()).rejects.toThrow('Entra ID token API error: 401');
+    });
+
+    test('gets a managed identity token for a user-assigned identity', async () => {
+        const credential = createAzureMapsCredential({
+            AZURE_MAPS_AUTH: 'managed-identity',
+            AZURE_MAPS_CLIENT_ID: 'maps-account-id',
+            IDENTITY_ENDPOINT: issuer.identityEndpoint,
+            IDENTITY_HEADER: 'fake-identity-header',
+            AZURE_MANAGED_IDENTITY_CLIENT_ID: 'user-assigned-id'
+        });
+
+        const headers = await credential.getHeaders();
+
+        expect(headers.Authorization).toMatch(/^Bearer fake-/);
+        expect(issuer.requests[0].query).toEqual({ resource: 'https://atlas.microsoft.com/', 'api-version': '2019-08-01', client_id: 'user-assigned-id' });
+    });
+
+    test('refreshes tokens that are close to expiry', async () => {
+        const tokenSource = { getToken: jest.fn()
+            .mockResolvedValueOnce({ token: 'short', expiresOnTimestamp: Date.now() + 60 * 1000 })
+            .mockResolvedValueOnce({ token: 'long', expiresOnTimestamp: Date.now() + 3600 * 1000 }) };
+        const credential = createTokenCredential(tokenSource, 'maps-account-id');
+
+        expect((await credential.getHeaders()).Authorization).toBe('Bearer short');
+        expect((await credential.getHeaders()).Authorization).toBe('Bearer long');
+        expect((await credential.getHeaders()).Authorization).toBe('Bearer long');
+        expect(tokenSource.getToken).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([
+        [{}, 'AZURE_MAPS_KEY not set'],
+        [{ AZURE_MAPS_AUTH: 'client-credentials', AZURE_MAPS_CLIENT_ID: 'id' }, 'AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET not set for AZURE_MAPS_AUTH=client-credentials'],
+        [{ AZURE_MAPS_AUTH: 'managed-identity' }, 'AZURE_MAPS_CLIENT_ID, IDENTITY_ENDPOINT, IDENTITY_HEADER not set for AZURE_MAPS_AUTH=managed-identity'],
+        [{ AZURE_MAPS_AUTH: 'sas' }, 'Unknown AZURE_MAPS_AUTH: sas']
+    ])('rejects incomplete configuration %#', (settings, error) => {
+        expect(() => createAzureMapsCredential(settings)).toThrow(error);
+    });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { emptyAddress } = require('../structuredAddress');
+
+// Offline fallback: a bundled CSV of postcode/locality centroids (gazetteer/gazetteer.csv, override
+// with GEOCODE_GAZETTEER_PATH). It resolves to a locality, never a street, so confidence is capped.
+
+const DEFAULT_GAZETTEER_PATH = path.join(__dirname, '..', 'gazetteer', 'gazetteer.csv');
+const MAX_REVERSE_DISTANCE_KM = 25;
+const EARTH_RADIUS_KM = 6371;
+const REQUIRED_COLUMNS = ['postcode', 'locality', 'subdivision', 'subdivisionName', 'countryCode', 'country', 'latitude', 'longitude'];
+
+function normalize(text) {
+    return ' ' + String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim() + ' ';
+}
+
+// Unquoted CSV: the bundled file never needs commas inside a field
+function parseGazetteer(csv) {
+    const lines = csv.split(/\r?\n/).filter(line => line.trim() !== '');
+    const headers = lines[0].split(',').map(header => header.trim());
+    const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+    if (missing.length > 0) throw new Error('Gazetteer is missing columns: ' + missing.join(', '));
+
+    return lines.slice(1).map(line => {
+        const cells = line.split(',');
+        const entry = {};
+        headers.forEach((header, index) => { entry[header] = (cells[index] || '').trim(); });
+        entry.latitude = parseFloat(entry.latitude);
+        entry.longitude = parseFloat(entry.longitude);
+        return entry;
+    }).filter(entry => !isNaN(entry.latitude) && !isNaN(entry.longitude));
+}
+
+// Postcode and locality together are the strongest evidence a centroid can offer
+function scoreEntry(entry, text) {
+    const postcode = entry.postcode && text.includes(normalize(entry.postcode));
+    const locality = text.includes(normalize(entry.locality));
+    const subdivision = entry.subdivision && text.includes(normalize(entry.subdivision));
+    if (postcode && locality) return 8;
+    if (postcode) return 6;
+    if (locality) return subdivision ? 6 : 5;
+    return 0;
+}
+
+function getConfidence(score) {
+    if (score >= 8) return 'Medium';
+    if (score >= 6) return 'Low';
+    return 'VeryLow';
+}
+
+function toResult(entry) {
+    const address = emptyAddress();
+    address.municipality = entry.locality || null;
+    address.countrySubdivision = entry.subdivision || null;
+    address.countrySubdivisionName = entry.subdivisionName || null;
+    address.postalCode = entry.postcode || null;
+    address.countryCode = entry.countryCode || null;
+    address.country = entry.country || null;
+
+    const place = [entry.locality, entry.subdivision, entry.postcode].filter(Boolean).join(' ');
+    return { formattedAddress: entry.country ? place + ', ' + entry.country : place, address };
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+function createGazetteerProvider(csvPath) {
+    const entries = parseGazetteer(fs.readFileSync(csvPath || DEFAULT_GAZETTEER_PATH, 'utf8'));
+
+    return {
+        name: 'gazetteer',
+        // countrySet narrows the entries searched; bias breaks ties between equally good matches
+        // (the three Springfields). The bounding box is left to the result check in region.js.
+        async geocode(address, options) {
+            const text = normalize(address);
+            const region = options.region || {};
+            const distanceFromBias = entry => (region.bias ? distanceKm(region.bias.latitude, region.bias.longitude, entry.latitude, entry.longitude) : 0);
+            return entries
+                .filter(entry => !region.countrySet || region.countrySet.includes(entry.countryCode.toUpperCase()))
+                .map(entry => ({ entry, score: scoreEntry(entry, text) }))
+                .filter(match => match.score > 0)
+                .sort((a, b) => b.score - a.score || distanceFromBias(a.entry) - distanceFromBias(b.entry))
+                .slice(0, options.limit)
+                .map(match => ({
+                    latitude: match.entry.latitude,
+                    longitude: match.entry.longitude,
+                    ...toResult(match.entry),
+                    score: match.score,
+                    confidence: getConfidence(match.score)
+                }));
+        },
+        async reverse(latitude, longitude) {
+            let nearest = null;
+            entries.forEach(entry => {
+                const distance = distanceKm(latitude, longitude, entry.latitude, entry.longitude);
+                if (distance <= MAX_REVERSE_DISTANCE_KM && (!nearest || distance < nearest.distance)) nearest = { entry, distance };
+            });
+            return nearest ? toResult(nearest.entry) : null;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_GAZETTEER_PATH,
+    parseGazetteer,
+    createGazetteerProvider
+};
@@ -0,0 +1,47 @@
+const http = require('http');
+const https = require('https');
+
+// Minimal JSON client shared by the HTTP providers and token sources. options are https.request
+// options plus an optional protocol ('http:' for local Nominatim servers and the managed identity
+// endpoint), a string body and a label used in error messages.
+const API_TIMEOUT_MS = 10000;
+
+function requestJson(options) {
+    const transport = options.protocol === 'http:' ? http : https;
+    const label = options.label || options.hostname;
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request({
+            hostname: options.hostname,
+            port: options.port,
+            path: options.path,
+            headers: options.body === undefined ? options.headers : { ...options.headers, 'Content-Length': Buffer.byteLength(options.body) },
+            method: options.method || 'GET',
+            timeout: API_TIMEOUT_MS
+        }, function(res) {
+            let data = '';
+            res.on('data', function(chunk) { data += chunk; });
+            res.on('end', function() {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (e) {
+                        reject(new Error('Invalid JSON response'));
+                    }
+                } else {
+                    reject(new Error(label + ' API error: ' + res.statusCode));
+                }
+            });
+        });
+
+        req.on('error', reject);
+        req.on('timeout', function() { req.destroy(); reject(new Error('Request timeout')); });
+        req.end(options.body);
+    });
+}
+
+function getJson(options) {
+    return requestJson({ ...options, method: 'GET', body: undefined });
+}
+
+module.exports = { requestJson, getJson };
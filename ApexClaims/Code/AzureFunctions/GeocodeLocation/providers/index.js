@@ -0,0 +1,67 @@
+const { createAzureMapsProvider } = require('./azureMaps');
+const { createNominatimProvider } = require('./nominatim');
+const { createGazetteerProvider } = require('./gazetteer');
+const { createAzureMapsCredential } = require('./credentials');
+
+// A geocoding provider is { name, geocode(address, { limit }), reverse(latitude, longitude) }.
+// geocode resolves to candidates { latitude, longitude, formattedAddress, address, score, confidence }
+// best first (scores are only comparable within one provider); reverse resolves to
+// { formattedAddress, address } or null. GEOCODE_PROVIDERS lists providers in fallback order.
+const DEFAULT_PROVIDERS = 'azure-maps';
+
+function createProvider(name, settings) {
+    if (name === 'azure-maps') return createAzureMapsProvider(createAzureMapsCredential(settings));
+    if (name === 'nominatim') {
+        if (!settings.NOMINATIM_URL) throw new Error('NOMINATIM_URL not set');
+        return createNominatimProvider(settings.NOMINATIM_URL, settings.NOMINATIM_USER_AGENT);
+    }
+    if (name === 'gazetteer') return createGazetteerProvider(settings.GEOCODE_GAZETTEER_PATH);
+    throw new Error('Unknown geocoding provider: ' + name);
+}
+
+function createProviders(env) {
+    const settings = env || process.env;
+    const names = (settings.GEOCODE_PROVIDERS || DEFAULT_PROVIDERS).split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (names.length === 0) throw new Error('GEOCODE_PROVIDERS is empty');
+    return names.map(name => createProvider(name, settings));
+}
+
+let activeProviders = null;
+
+function getGeocodeProviders() {
+    if (!activeProviders) activeProviders = createProviders(process.env);
+    return activeProviders;
+}
+
+function setGeocodeProviders(providers) {
+    activeProviders = providers;
+}
+
+// Tries each provider in order until one returns a result. Resolves to { provider, result, attempts }
+// where result is null when every provider came back empty; rejects only when all of them failed.
+async function withFallback(providers, operation, log) {
+    const attempts = [];
+    for (const provider of providers) {
+        try {
+            const result = await operation(provider);
+            const empty = !result || (Array.isArray(result) && result.length === 0);
+            attempts.push({ provider: provider.name, outcome: empty ? 'no-results' : 'success' });
+            if (!empty) return { provider: provider.name, result, attempts };
+        } catch (error) {
+            attempts.push({ provider: provider.name, outcome: 'error', error: error.message });
+            if (log) log.warn('Geocoding provider ' + provider.name + ' failed: ' + error.message);
+        }
+    }
+
+    if (attempts.every(attempt => attempt.outcome === 'error')) {
+        throw new Error('All geocoding providers failed: ' + attempts.map(attempt => attempt.provider + ' (' + attempt.error + ')').join(', '));
+    }
+    return { provider: null, result: null, attempts };
+}
+
+module.exports = {
+    createProviders,
+    getGeocodeProviders,
+    setGeocodeProviders,
+    withFallback
+};
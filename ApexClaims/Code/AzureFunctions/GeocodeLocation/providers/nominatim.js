@@ -0,0 +1,71 @@
+const { getJson } = require('./httpJson');
+const { fromNominatimAddress } = require('../structuredAddress');
+
+// Any server speaking the Nominatim search/reverse API (self-hosted, or nominatim.openstreetmap.org
+// within its usage policy, which requires an identifying User-Agent)
+const DEFAULT_USER_AGENT = 'ApexClaims-GeocodeLocation';
+
+// importance is 0-1
+function getConfidence(importance) {
+    if (importance >= 0.6) return 'High';
+    if (importance >= 0.4) return 'Medium';
+    if (importance >= 0.2) return 'Low';
+    return 'VeryLow';
+}
+
+function toCandidate(result) {
+    const importance = Number(result.importance) || 0;
+    return {
+        latitude: parseFloat(result.lat),
+        longitude: parseFloat(result.lon),
+        formattedAddress: result.display_name || null,
+        address: fromNominatimAddress(result.address),
+        score: importance,
+        confidence: getConfidence(importance)
+    };
+}
+
+// Nominatim has no point bias, so only countrySet and the bounding box are passed on. Its viewbox
+// cannot cross the antimeridian; such boxes are left to the result check in region.js.
+function regionParams(region) {
+    const params = {};
+    if (!region) return params;
+    if (region.countrySet) params.countrycodes = region.countrySet.join(',').toLowerCase();
+    const box = region.boundingBox;
+    if (box && box.west <= box.east) {
+        params.viewbox = [box.west, box.north, box.east, box.south].join(',');
+        params.bounded = '1';
+    }
+    return params;
+}
+
+function createNominatimProvider(baseUrl, userAgent) {
+    const base = new URL(baseUrl);
+    const basePath = base.pathname.replace(/\/$/, '');
+    const request = (endpoint, params) => getJson({
+        protocol: base.protocol,
+        hostname: base.hostname,
+        port: base.port || undefined,
+        path: basePath + endpoint + '?' + new URLSearchParams({ ...params, format: 'jsonv2', addressdetails: '1' }).toString(),
+        headers: { 'User-Agent': userAgent || DEFAULT_USER_AGENT, 'Accept-Language': 'en' },
+        label: 'Nominatim'
+    });
+
+    return {
+        name: 'nominatim',
+        async geocode(address, options) {
+            const results = await request('/search', { q: address, limit: String(options.limit), ...regionParams(options.region) });
+            return (Array.isArray(results) ? results : []).map(toCandidate);
+        },
+        async reverse(latitude, longitude) {
+            const result = await request('/reverse', { lat: String(latitude), lon: String(longitude) });
+            if (!result || result.error || !result.address) return null;
+            return { formattedAddress: result.display_name || null, address: fromNominatimAddress(result.address) };
+        }
+    };
+}
+
+module.exports = {
+    getConfidence,
+    createNominatimProvider
+};
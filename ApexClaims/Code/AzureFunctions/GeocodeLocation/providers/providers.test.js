@@ -0,0 +1,144 @@
+const { EventEmitter } = require('events');
+const https = require('https');
+const { createNominatimProvider } = require('./nominatim');
+const { createGazetteerProvider, parseGazetteer } = require('./gazetteer');
+const { createProviders, withFallback } = require('./index');
+
+jest.mock('https');
+
+function mockResponse(statusCode, body) {
+    https.request.mockImplementation((options, callback) => {
+        const request = new EventEmitter();
+        request.end = () => {
+            const response = new EventEmitter();
+            response.statusCode = statusCode;
+            callback(response);
+            response.emit('data', JSON.stringify(body));
+            response.emit('end');
+        };
+        return request;
+    });
+}
+
+describe('GeocodeLocation providers', () => {
+    beforeEach(() => {
+        https.request.mockReset();
+    });
+
+    describe('nominatim', () => {
+        const provider = createNominatimProvider('https://geo.example.com/nominatim/', 'ApexClaims-Test');
+
+        test('maps search results to candidates', async () => {
+            mockResponse(200, [{
+                lat: '-33.8688',
+                lon: '151.2093',
+                display_name: '123, Main Street, Sydney, New South Wales, 2000, Australia',
+                importance: 0.45,
+                address: { house_number: '123', road: 'Main Street', city: 'Sydney', state: 'New South Wales', 'ISO3166-2-lvl4': 'AU-NSW', postcode: '2000', country: 'Australia', country_code: 'au' }
+            }]);
+
+            const [candidate] = await provider.geocode('123 Main St Sydney', { limit: 5 });
+
+            expect(candidate).toMatchObject({ latitude: -33.8688, longitude: 151.2093, score: 0.45, confidence: 'Medium' });
+            expect(candidate.address).toMatchObject({ streetNumber: '123', streetName: 'Main Street', municipality: 'Sydney', countrySubdivision: 'NSW', countryCode: 'AU' });
+            const options = https.request.mock.calls[0][0];
+            expect(options.hostname).toBe('geo.example.com');
+            expect(options.path).toMatch(/^\/nominatim\/search\?q=123\+Main\+St\+Sydney&limit=5&format=jsonv2&addressdetails=1$/);
+            expect(options.headers['User-Agent']).toBe('ApexClaims-Test');
+        });
+
+        test('restricts search to the region countries and bounding box', async () => {
+            mockResponse(200, []);
+
+            await provider.geocode('Springfield', { limit: 5, region: { countrySet: ['AU', 'NZ'], bias: null, boundingBox: { north: -10, south: -44, east: 154, west: 113 } } });
+
+            const query = new URLSearchParams(https.request.mock.calls[0][0].path.split('?')[1]);
+            expect(query.get('countrycodes')).toBe('au,nz');
+            expect(query.get('viewbox')).toBe('113,-10,154,-44');
+            expect(query.get('bounded')).toBe('1');
+        });
+
+        test('reverse returns null for an error payload', async () => {
+            mockResponse(200, { error: 'Unable to geocode' });
+
+            expect(await provider.reverse(0, 0)).toBeNull();
+        });
+
+        test('rejects on HTTP errors', async () => {
+            mockResponse(429, {});
+
+            await expect(provider.geocode('x', { limit: 1 })).rejects.toThrow('Nominatim API error: 429');
+        });
+    });
+
+    describe('gazetteer', () => {
+        const provider = createGazetteerProvider();
+
+        test('ranks postcode and locality matches first', async () => {
+            const candidates = await provider.geocode('Level 3, 1 George St, Sydney NSW 2000', { limit: 5 });
+
+            expect(candidates[0]).toMatchObject({ formattedAddress: 'Sydney NSW 2000, Australia', score: 8, confidence: 'Medium' });
+        });
+
+        test('returns every locality sharing a name, preferring the named state', async () => {
+            const candidates = await provider.geocode('Main St, Springfield IL', { limit: 5 });
+
+            expect(candidates.map(candidate => candidate.address.countrySubdivision)).toEqual(['IL', 'MA', 'MO']);
+            expect(candidates[0].score).toBeGreaterThan(candidates[1].score);
+        });
+
+        test('searches only the region countries and breaks ties by distance from the bias point', async () => {
+            expect(await provider.geocode('Springfield IL', { limit: 5, region: { countrySet: ['AU'] } })).toEqual([]);
+
+            const candidates = await provider.geocode('Springfield', { limit: 5, region: { countrySet: ['US'], bias: { latitude: 42.3, longitude: -72.6 } } });
+            expect(candidates.map(candidate => candidate.address.countrySubdivision)).toEqual(['MA', 'IL', 'MO']);
+        });
+
+        test('does not match partial words', async () => {
+            expect(await provider.geocode('Perthshire Road', { limit: 5 })).toEqual([]);
+        });
+
+        test('reverse finds the nearest locality within range', async () => {
+            expect((await provider.reverse(-33.87, 151.2)).address.municipality).toBe('Sydney');
+            expect(await provider.reverse(0, 0)).toBeNull();
+        });
+
+        test('rejects files without the required columns', () => {
+            expect(() => parseGazetteer('postcode,locality\n2000,Sydney')).toThrow('missing columns');
+        });
+    });
+
+    describe('configuration and fallback', () => {
+        test('builds providers in GEOCODE_PROVIDERS order', () => {
+            const providers = createProviders({ GEOCODE_PROVIDERS: 'gazetteer, azure-maps', AZURE_MAPS_KEY: 'key' });
+            expect(providers.map(provider => provider.name)).toEqual(['gazetteer', 'azure-maps']);
+            expect(createProviders({ AZURE_MAPS_KEY: 'key' }).map(provider => provider.name)).toEqual(['azure-maps']);
+        });
+
+        test('rejects unknown or unconfigured providers', () => {
+            expect(() => createProviders({ GEOCODE_PROVIDERS: 'bing' })).toThrow('Unknown geocoding provider');
+            expect(() => createProviders({})).toThrow('AZURE_MAPS_KEY');
+        });
+
+        test('records each attempt until a provider returns results', async () => {
+            const providers = [
+                { name: 'first', geocode: jest.fn().mockRejectedValue(new Error('timeout')) },
+                { name: 'second', geocode: jest.fn().mockResolvedValue([]) },
+                { name: 'third', geocode: jest.fn().mockResolvedValue([{ latitude: 1 }]) }
+            ];
+            const log = { warn: jest.fn() };
+
+            const lookup = await withFallback(providers, provider => provider.geocode('x'), log);
+
+            expect(lookup.provider).toBe('third');
+            expect(lookup.attempts.map(attempt => attempt.outcome)).toEqual(['error', 'no-results', 'success']);
+            expect(log.warn).toHaveBeenCalledTimes(1);
+        });
+
+        test('resolves with no result when providers are empty rather than failing', async () => {
+            const providers = [{ name: 'a', geocode: jest.fn().mockRejectedValue(new Error('x')) }, { name: 'b', geocode: jest.fn().mockResolvedValue([]) }];
+
+            expect((await withFallback(providers, provider => provider.geocode('x'))).result).toBeNull();
+        });
+    });
+});
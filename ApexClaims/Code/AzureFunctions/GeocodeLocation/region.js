@@ -0,0 +1,133 @@
+const { validateCoordinates } = require('../shared/coordinates');
+
+// Optional search region for forward geocoding: countrySet (ISO 3166-1 alpha-2 codes), a bias
+// point and a bounding box. Providers use it to rank or restrict their search, and results are
+// checked against it afterwards, so a provider that ignores a hint still cannot return a match in
+// the wrong country. countrySet falls back to the claim's policy country, then to
+// GEOCODE_DEFAULT_COUNTRY_SET.
+
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+// Policy records may hold a country name rather than a code
+const COUNTRY_NAMES = {
+    'australia': 'AU',
+    'new zealand': 'NZ',
+    'united states': 'US',
+    'united states of america': 'US',
+    'usa': 'US',
+    'united kingdom': 'GB',
+    'uk': 'GB',
+    'canada': 'CA',
+    'ireland': 'IE'
+};
+
+function toCountryCode(value) {
+    const text = String(value || '').trim();
+    if (COUNTRY_NAMES[text.toLowerCase()]) return COUNTRY_NAMES[text.toLowerCase()];
+    return COUNTRY_CODE_PATTERN.test(text.toUpperCase()) ? text.toUpperCase() : null;
+}
+
+// Same camelCase-or-Dataverse-column convention as FraudDetection's policy context
+function countryFromPolicy(policy) {
+    if (!policy || typeof policy !== 'object') return null;
+    const value = ['countryCode', 'new_countrycode', 'country', 'new_country']
+        .map(field => policy[field])
+        .find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+    return value === undefined ? null : toCountryCode(value);
+}
+
+function parseCountrySet(value) {
+    const codes = (Array.isArray(value) ? value : String(value).split(','))
+        .map(code => String(code).trim().toUpperCase())
+        .filter(Boolean);
+    if (codes.length === 0 || !codes.every(code => COUNTRY_CODE_PATTERN.test(code))) {
+        return { valid: false, error: 'countrySet must be a list of two-letter country codes' };
+    }
+    return { valid: true, countrySet: [...new Set(codes)] };
+}
+
+// west > east is allowed and means the box crosses the antimeridian
+function parseBoundingBox(box) {
+    if (!box || typeof box !== 'object') return { valid: false, error: 'boundingBox must have north, south, east and west' };
+    const northWest = validateCoordinates(box.north, box.west);
+    const southEast = validateCoordinates(box.south, box.east);
+    if (!northWest.valid || !southEast.valid) return { valid: false, error: 'boundingBox: ' + (northWest.valid ? southEast.error : northWest.error) };
+    if (southEast.latitude >= northWest.latitude) return { valid: false, error: 'boundingBox south must be below north' };
+    return {
+        valid: true,
+        boundingBox: { north: northWest.latitude, south: southEast.latitude, east: southEast.longitude, west: northWest.longitude }
+    };
+}
+
+// { valid, region } where region is null when nothing constrains the search
+function parseRegion(body, env) {
+    const settings = env || process.env;
+    const region = { countrySet: null, bias: null, boundingBox: null, countrySource: null };
+
+    if (body.countrySet !== undefined && body.countrySet !== null) {
+        const parsed = parseCountrySet(body.countrySet);
+        if (!parsed.valid) return parsed;
+        region.countrySet = parsed.countrySet;
+        region.countrySource = 'request';
+    } else if (countryFromPolicy(body.policy)) {
+        region.countrySet = [countryFromPolicy(body.policy)];
+        region.countrySource = 'policy';
+    } else if (settings.GEOCODE_DEFAULT_COUNTRY_SET) {
+        const parsed = parseCountrySet(settings.GEOCODE_DEFAULT_COUNTRY_SET);
+        if (parsed.valid) {
+            region.countrySet = parsed.countrySet;
+            region.countrySource = 'default';
+        }
+    }
+
+    if (body.bias !== undefined && body.bias !== null) {
+        const bias = validateCoordinates(body.bias.latitude, body.bias.longitude);
+        if (!bias.valid) return { valid: false, error: 'bias: ' + bias.error };
+        region.bias = { latitude: bias.latitude, longitude: bias.longitude };
+    }
+
+    if (body.boundingBox !== undefined && body.boundingBox !== null) {
+        const parsed = parseBoundingBox(body.boundingBox);
+        if (!parsed.valid) return parsed;
+        region.boundingBox = parsed.boundingBox;
+    }
+
+    const constrained = region.countrySet || region.bias || region.boundingBox;
+    return { valid: true, region: constrained ? region : null };
+}
+
+function inBoundingBox(latitude, longitude, box) {
+    if (latitude < box.south || latitude > box.north) return false;
+    return box.west <= box.east
+        ? longitude >= box.west && longitude <= box.east
+        : longitude >= box.west || longitude <= box.east;
+}
+
+// Bias only ranks, so it never rejects. A match without a country code is kept: the bounding box
+// (when given) still applies to it.
+function isWithinRegion(candidate, region) {
+    if (!region) return true;
+    const countryCode = candidate.address && candidate.address.countryCode;
+    if (region.countrySet && countryCode && !region.countrySet.includes(countryCode.toUpperCase())) return false;
+    if (region.boundingBox && !inBoundingBox(candidate.latitude, candidate.longitude, region.boundingBox)) return false;
+    return true;
+}
+
+// Appended to the address cache key, since the same text can resolve differently per region
+function regionCacheKey(region) {
+    if (!region) return '';
+    const parts = [];
+    if (region.countrySet) parts.push('c=' + region.countrySet.join(','));
+    if (region.bias) parts.push('b=' + region.bias.latitude + ',' + region.bias.longitude);
+    if (region.boundingBox) {
+        const box = region.boundingBox;
+        parts.push('bb=' + [box.north, box.west, box.south, box.east].join(','));
+    }
+    return '|' + parts.join('|');
+}
+
+module.exports = {
+    countryFromPolicy,
+    parseRegion,
+    isWithinRegion,
+    regionCacheKey
+};
@@ -0,0 +1,67 @@
+const { countryFromPolicy, parseRegion, isWithinRegion, regionCacheKey } = require('./region');
+
+describe('geocoding region', () => {
+    test('reads the policy country from code or name, camelCase or Dataverse columns', () => {
+        expect(countryFromPolicy({ countryCode: 'au' })).toBe('AU');
+        expect(countryFromPolicy({ new_country: 'New Zealand' })).toBe('NZ');
+        expect(countryFromPolicy({ country: 'UK' })).toBe('GB');
+        expect(countryFromPolicy({ country: 'Atlantis' })).toBeNull();
+        expect(countryFromPolicy(null)).toBeNull();
+    });
+
+    test('prefers the request countrySet, then the policy, then GEOCODE_DEFAULT_COUNTRY_SET', () => {
+        const env = { GEOCODE_DEFAULT_COUNTRY_SET: 'AU,NZ' };
+
+        expect(parseRegion({ countrySet: 'us, ca', policy: { countryCode: 'AU' } }, env).region).toMatchObject({ countrySet: ['US', 'CA'], countrySource: 'request' });
+        expect(parseRegion({ policy: { countryCode: 'AU' } }, env).region).toMatchObject({ countrySet: ['AU'], countrySource: 'policy' });
+        expect(parseRegion({}, env).region).toMatchObject({ countrySet: ['AU', 'NZ'], countrySource: 'default' });
+        expect(parseRegion({}, {})).toEqual({ valid: true, region: null });
+    });
+
+    test('parses bias and bounding box', () => {
+        const { region } = parseRegion({ bias: { latitude: '-33.8', longitude: 151.2 }, boundingBox: { north: -10, south: -44, east: 154, west: 113 } }, {});
+
+        expect(region).toEqual({
+            countrySet: null,
+            countrySource: null,
+            bias: { latitude: -33.8, longitude: 151.2 },
+            boundingBox: { north: -10, south: -44, east: 154, west: 113 }
+        });
+    });
+
+    test.each([
+        [{ countrySet: ['AUS'] }, 'countrySet must be a list of two-letter country codes'],
+        [{ countrySet: [] }, 'countrySet must be a list of two-letter country codes'],
+        [{ bias: { latitude: 95, longitude: 0 } }, 'bias: Latitude must be between -90 and 90'],
+        [{ boundingBox: { north: -44, south: -10, east: 154, west: 113 } }, 'boundingBox south must be below north'],
+        [{ boundingBox: { north: -10, south: -44, west: 113 } }, 'boundingBox: Longitude is required'],
+        [{ boundingBox: 'AU' }, 'boundingBox must have north, south, east and west']
+    ])('rejects %p', (body, error) => {
+        expect(parseRegion(body, {})).toEqual({ valid: false, error });
+    });
+
+    test('rejects matches outside the country set or bounding box', () => {
+        const region = { countrySet: ['AU'], boundingBox: { north: -10, south: -44, east: 154, west: 113 } };
+        const sydney = { latitude: -33.87, longitude: 151.21, address: { countryCode: 'AU' } };
+
+        expect(isWithinRegion(sydney, region)).toBe(true);
+        expect(isWithinRegion({ ...sydney, address: { countryCode: 'US' } }, region)).toBe(false);
+        expect(isWithinRegion({ latitude: -41.29, longitude: 174.78, address: { countryCode: 'AU' } }, region)).toBe(false);
+        expect(isWithinRegion({ latitude: -33.87, longitude: 151.21, address: { countryCode: null } }, region)).toBe(true);
+        expect(isWithinRegion(sydney, null)).toBe(true);
+    });
+
+    test('handles bounding boxes that cross the antimeridian', () => {
+        const region = { countrySet: null, boundingBox: { north: -10, south: -50, east: -170, west: 160 } };
+
+        expect(isWithinRegion({ latitude: -44, longitude: -176.5, address: {} }, region)).toBe(true);
+        expect(isWithinRegion({ latitude: -41, longitude: 174.8, address: {} }, region)).toBe(true);
+        expect(isWithinRegion({ latitude: -33, longitude: 151, address: {} }, region)).toBe(false);
+    });
+
+    test('builds distinct cache key suffixes per region', () => {
+        expect(regionCacheKey(null)).toBe('');
+        expect(regionCacheKey({ countrySet: ['AU'], bias: null, boundingBox: null })).toBe('|c=AU');
+        expect(regionCacheKey({ countrySet: ['AU'], bias: { latitude: 1, longitude: 2 }, boundingBox: null })).toBe('|c=AU|b=1,2');
+    });
+});
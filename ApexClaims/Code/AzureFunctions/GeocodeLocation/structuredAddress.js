@@ -0,0 +1,76 @@
+// Normalised address parts for claim records (reporting and jurisdiction routing). Every field is
+// always present and null when the provider did not return it, so callers can map them to columns.
+
+const ADDRESS_FIELDS = [
+    'streetNumber',
+    'streetName',
+    'municipality',
+    'municipalitySubdivision',
+    'countrySubdivision',
+    'countrySubdivisionName',
+    'postalCode',
+    'countryCode',
+    'country'
+];
+
+function clean(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+}
+
+function emptyAddress() {
+    const address = {};
+    ADDRESS_FIELDS.forEach(field => { address[field] = null; });
+    return address;
+}
+
+// Azure Maps sometimes returns only streetNameAndNumber; the number is split off when it leads
+function fromAzureMapsAddress(address) {
+    const source = address || {};
+    const structured = emptyAddress();
+    let streetNumber = clean(source.streetNumber);
+    let streetName = clean(source.streetName);
+
+    if (!streetName && clean(source.streetNameAndNumber)) {
+        const match = clean(source.streetNameAndNumber).match(/^(\d+[A-Za-z]?(?:[-/]\d+[A-Za-z]?)?)\s+(.+)$/);
+        streetNumber = streetNumber || (match ? match[1] : null);
+        streetName = match ? match[2] : clean(source.streetNameAndNumber);
+    }
+
+    structured.streetNumber = streetNumber;
+    structured.streetName = streetName;
+    structured.municipality = clean(source.municipality);
+    structured.municipalitySubdivision = clean(source.municipalitySubdivision);
+    structured.countrySubdivision = clean(source.countrySubdivisionCode || source.countrySubdivision);
+    structured.countrySubdivisionName = clean(source.countrySubdivisionName);
+    structured.postalCode = clean(source.postalCode || source.extendedPostalCode);
+    structured.countryCode = clean(source.countryCode) ? clean(source.countryCode).toUpperCase() : null;
+    structured.country = clean(source.country);
+    return structured;
+}
+
+// Nominatim addressdetails; the state code comes from the ISO 3166-2 key (AU-NSW -> NSW)
+function fromNominatimAddress(address) {
+    const source = address || {};
+    const structured = emptyAddress();
+    const isoSubdivision = clean(source['ISO3166-2-lvl4'] || source['ISO3166-2-lvl3']);
+
+    structured.streetNumber = clean(source.house_number);
+    structured.streetName = clean(source.road || source.pedestrian || source.footway);
+    structured.municipality = clean(source.city || source.town || source.village || source.hamlet || source.municipality);
+    structured.municipalitySubdivision = clean(source.suburb || source.city_district || source.neighbourhood);
+    structured.countrySubdivision = isoSubdivision ? isoSubdivision.split('-').slice(1).join('-') : null;
+    structured.countrySubdivisionName = clean(source.state || source.region);
+    structured.postalCode = clean(source.postcode);
+    structured.countryCode = clean(source.country_code) ? clean(source.country_code).toUpperCase() : null;
+    structured.country = clean(source.country);
+    return structured;
+}
+
+module.exports = {
+    ADDRESS_FIELDS,
+    emptyAddress,
+    fromAzureMapsAddress,
+    fromNominatimAddress
+};
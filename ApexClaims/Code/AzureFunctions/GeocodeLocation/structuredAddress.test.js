@@ -0,0 +1,25 @@
+const { ADDRESS_FIELDS, fromAzureMapsAddress } = require('./structuredAddress');
+
+describe('GeocodeLocation structured address', () => {
+    test('always returns every field, null when missing', () => {
+        const address = fromAzureMapsAddress({ municipality: 'Sydney', countryCode: 'au' });
+        expect(Object.keys(address)).toEqual(ADDRESS_FIELDS);
+        expect(address).toMatchObject({ municipality: 'Sydney', countryCode: 'AU', streetName: null, postalCode: null });
+        expect(Object.values(fromAzureMapsAddress(undefined)).every(value => value === null)).toBe(true);
+    });
+
+    test('splits a leading number from streetNameAndNumber', () => {
+        expect(fromAzureMapsAddress({ streetNameAndNumber: '12A Smith Street' })).toMatchObject({ streetNumber: '12A', streetName: 'Smith Street' });
+        expect(fromAzureMapsAddress({ streetNameAndNumber: '4/21 George St' })).toMatchObject({ streetNumber: '4/21', streetName: 'George St' });
+        expect(fromAzureMapsAddress({ streetNameAndNumber: 'Pacific Highway' })).toMatchObject({ streetNumber: null, streetName: 'Pacific Highway' });
+    });
+
+    test('prefers subdivision codes and falls back to extended postal codes', () => {
+        expect(fromAzureMapsAddress({ countrySubdivision: 'Texas', countrySubdivisionCode: 'TX', extendedPostalCode: '75001-1234' }))
+            .toMatchObject({ countrySubdivision: 'TX', postalCode: '75001-1234' });
+    });
+
+    test('blank strings become null', () => {
+        expect(fromAzureMapsAddress({ streetName: '  ', postalCode: '' })).toMatchObject({ streetName: null, postalCode: null });
+    });
+});
@@ -1,8 +1,14 @@
 const https = require('https');
+const { validateCoordinates } = require('../shared/coordinates');
 
 // TODO: handle timezone offset for accurate local date matching
 const OPEN_METEO_HOST = 'archive-api.open-meteo.com';
 const API_TIMEOUT_MS = 10000;
+const DAILY_VARIABLES = 'temperature_2m_max,temperature_2m_min,precipitation_sum,windspeed_10m_max,weathercode';
+const HOURLY_VARIABLES = 'temperature_2m,relativehumidity_2m,precipitation,weathercode,windspeed_10m,windgusts_10m';
+const DEFAULT_WINDOW_HOURS = 3;
+const MAX_WINDOW_HOURS = 12;
+const MS_PER_HOUR = 60 * 60 * 1000;
 
 const WEATHER_CODES = {
     0: 'Clear Sky', 1: 'Mainly Clear', 2: 'Partly Cloudy', 3: 'Overcast',
@@ -40,30 +46,44 @@ function parseDate(dateInput) {
     return { valid: true, date: dateStr };
 }
 
-function validateCoordinates(latitude, longitude) {
-    if (latitude === undefined || latitude === null) return { valid: false, error: 'Latitude is required' };
-    if (longitude === undefined || longitude === null) return { valid: false, error: 'Longitude is required' };
-
-    const lat = parseFloat(latitude);
-    const lon = parseFloat(longitude);
+// Incident time is the wall-clock time at the location, matching Open-Meteo's timezone=auto output
+function parseTime(timeInput) {
+    const match = /^(\d{2}):(\d{2})(:\d{2})?$/.exec(String(timeInput));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return { valid: false, error: 'Time must be in HH:mm format' };
+    return { valid: true, hour: Number(match[1]), time: `${match[1]}:${match[2]}` };
+}
 
-    if (isNaN(lat) || lat < -90 || lat > 90) return { valid: false, error: 'Latitude must be between -90 and 90' };
-    if (isNaN(lon) || lon < -180 || lon > 180) return { valid: false, error: 'Longitude must be between -180 and 180' };
+function parseWindowHours(value) {
+    if (value === undefined || value === null) return { valid: true, windowHours: DEFAULT_WINDOW_HOURS };
+    const hours = Number(value);
+    if (!Number.isInteger(hours) || hours < 0 || hours > MAX_WINDOW_HOURS) {
+        return { valid: false, error: `windowHours must be a whole number from 0 to ${MAX_WINDOW_HOURS}` };
+    }
+    return { valid: true, windowHours: hours };
+}
 
-    return { valid: true, latitude: lat, longitude: lon };
+// Local wall-clock times are handled as if they were UTC so the arithmetic never shifts them;
+// the window may reach into the previous or next day but never past today
+function buildDateRange(date, hour, windowHours) {
+    const incident = new Date(`${date}T00:00:00Z`).getTime() + hour * MS_PER_HOUR;
+    const toDate = time => new Date(time).toISOString().split('T')[0];
+    const today = toDate(Date.now());
+    const endDate = toDate(incident + windowHours * MS_PER_HOUR);
+    return { startDate: toDate(incident - windowHours * MS_PER_HOUR), endDate: endDate > today ? today : endDate };
 }
 
 // Open-Meteo sometimes omits precip for sparse stations; we return 'not available' rather than failing
-function callOpenMeteoApi(latitude, longitude, date) {
+function callOpenMeteoApi(latitude, longitude, range, hourly) {
     return new Promise((resolve, reject) => {
         const params = new URLSearchParams({
             latitude: latitude.toString(),
             longitude: longitude.toString(),
-            start_date: date,
-            end_date: date,
-            daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum,windspeed_10m_max,weathercode',
+            start_date: range.startDate,
+            end_date: range.endDate,
+            daily: DAILY_VARIABLES,
             timezone: 'auto'
         });
+        if (hourly) params.set('hourly', HOURLY_VARIABLES);
 
         const options = {
             hostname: OPEN_METEO_HOST,
@@ -96,15 +116,17 @@ function callOpenMeteoApi(latitude, longitude, date) {
     });
 }
 
-function buildConditionsSummary(weatherData) {
+// The response may cover several days when an hourly window crosses midnight
+function buildConditionsSummary(weatherData, date) {
     const daily = weatherData.daily;
     if (!daily || !daily.time || daily.time.length === 0) return null;
+    const day = Math.max(0, daily.time.indexOf(date));
 
-    const weatherCode = daily.weathercode ? daily.weathercode[0] : null;
-    const tempMaxC = daily.temperature_2m_max ? daily.temperature_2m_max[0] : null;
-    const tempMinC = daily.temperature_2m_min ? daily.temperature_2m_min[0] : null;
-    const precipMm = daily.precipitation_sum ? daily.precipitation_sum[0] : 0;
-    const windKmh = daily.windspeed_10m_max ? daily.windspeed_10m_max[0] : 0;
+    const weatherCode = daily.weathercode ? daily.weathercode[day] : null;
+    const tempMaxC = daily.temperature_2m_max ? daily.temperature_2m_max[day] : null;
+    const tempMinC = daily.temperature_2m_min ? daily.temperature_2m_min[day] : null;
+    const precipMm = daily.precipitation_sum ? daily.precipitation_sum[day] : 0;
+    const windKmh = daily.windspeed_10m_max ? daily.windspeed_10m_max[day] : 0;
 
     if (tempMaxC === null || tempMinC === null) return null;
 
@@ -128,6 +150,54 @@ function buildConditionsSummary(weatherData) {
     return { conditions: summary, details };
 }
 
+function hourlyValue(hourly, variable, index) {
+    return hourly[variable] && hourly[variable][index] !== undefined ? hourly[variable][index] : null;
+}
+
+function buildHourDetails(hourly, index) {
+    const weatherCode = hourlyValue(hourly, 'weathercode', index);
+    const tempC = hourlyValue(hourly, 'temperature_2m', index);
+    const precipMm = hourlyValue(hourly, 'precipitation', index) || 0;
+    const windKmh = hourlyValue(hourly, 'windspeed_10m', index) || 0;
+    const gustKmh = hourlyValue(hourly, 'windgusts_10m', index);
+
+    return {
+        time: hourly.time[index],
+        weatherCode,
+        weatherDescription: getWeatherDescription(weatherCode),
+        temperatureC: tempC === null ? null : Math.round(tempC),
+        temperatureF: tempC === null ? null : celsiusToFahrenheit(tempC),
+        relativeHumidity: hourlyValue(hourly, 'relativehumidity_2m', index),
+        precipitationMm: Math.round(precipMm * 10) / 10,
+        precipitationIn: parseFloat(mmToInches(precipMm)),
+        windSpeedKmh: Math.round(windKmh), windSpeedMph: kmhToMph(windKmh),
+        windGustsKmh: gustKmh === null ? null : Math.round(gustKmh),
+        windGustsMph: gustKmh === null ? null : kmhToMph(gustKmh)
+    };
+}
+
+// Conditions for the hour containing the incident plus every hour within windowHours either side
+function buildHourlySummary(weatherData, date, hour, windowHours) {
+    const hourly = weatherData.hourly;
+    const incidentTime = `${date}T${String(hour).padStart(2, '0')}:00`;
+    const index = hourly && hourly.time ? hourly.time.indexOf(incidentTime) : -1;
+    if (index === -1) return { incidentHour: null, window: [] };
+
+    const details = buildHourDetails(hourly, index);
+    if (details.temperatureC === null) return { incidentHour: null, window: [] };
+
+    const window = [];
+    for (let offset = Math.max(0, index - windowHours); offset <= Math.min(hourly.time.length - 1, index + windowHours); offset++) {
+        window.push(buildHourDetails(hourly, offset));
+    }
+
+    const gusts = details.windGustsMph === null ? '' : ` (gusts ${details.windGustsMph} mph)`;
+    const conditions = `${details.weatherDescription} at ${incidentTime.split('T')[1]}, Temp: ${details.temperatureF} degF (${details.temperatureC} degC), ` +
+        `Wind: ${details.windSpeedMph} mph${gusts}, Precip: ${details.precipitationIn.toFixed(2)} in`;
+
+    return { incidentHour: { time: incidentTime, timezone: weatherData.timezone || null, conditions, details }, window };
+}
+
 module.exports = async function (context, req) {
     context.log('WeatherLookup request');
 
@@ -145,7 +215,7 @@ module.exports = async function (context, req) {
 
     try {
         const body = req.body || {};
-        const { latitude, longitude, date } = body;
+        const { latitude, longitude, date, time } = body;
 
         if (latitude === undefined || longitude === undefined || !date) {
             context.res = { status: 400, headers, body: JSON.stringify({ success: false, error: 'latitude, longitude, and date are required' }) };
@@ -164,17 +234,37 @@ module.exports = async function (context, req) {
             return;
         }
 
-        context.log(`Fetching weather: ${coordValidation.latitude}, ${coordValidation.longitude}, ${dateValidation.date}`);
+        let timeValidation = null;
+        let windowValidation = null;
+        if (time !== undefined && time !== null && time !== '') {
+            timeValidation = parseTime(time);
+            windowValidation = parseWindowHours(body.windowHours);
+            const invalid = [timeValidation, windowValidation].find(validation => !validation.valid);
+            if (invalid) {
+                context.res = { status: 400, headers, body: JSON.stringify({ success: false, error: invalid.error }) };
+                return;
+            }
+        }
+
+        context.log(`Fetching weather: ${coordValidation.latitude}, ${coordValidation.longitude}, ${dateValidation.date}${timeValidation ? ' ' + timeValidation.time : ''}`);
 
-        const weatherData = await callOpenMeteoApi(coordValidation.latitude, coordValidation.longitude, dateValidation.date);
-        const result = buildConditionsSummary(weatherData);
+        const range = timeValidation
+            ? buildDateRange(dateValidation.date, timeValidation.hour, windowValidation.windowHours)
+            : { startDate: dateValidation.date, endDate: dateValidation.date };
+        const weatherData = await callOpenMeteoApi(coordValidation.latitude, coordValidation.longitude, range, !!timeValidation);
+        const result = buildConditionsSummary(weatherData, dateValidation.date);
 
         if (!result) {
             context.res = { status: 200, headers, body: JSON.stringify({ success: false, conditions: null, error: 'Weather data not available for the specified date' }) };
             return;
         }
 
-        context.res = { status: 200, headers, body: JSON.stringify({ success: true, conditions: result.conditions, details: result.details }) };
+        const response = { success: true, conditions: result.conditions, details: result.details };
+        if (timeValidation) {
+            Object.assign(response, buildHourlySummary(weatherData, dateValidation.date, timeValidation.hour, windowValidation.windowHours));
+        }
+
+        context.res = { status: 200, headers, body: JSON.stringify(response) };
 
     } catch (error) {
         context.log.error(`WeatherLookup error: ${error.message}`);
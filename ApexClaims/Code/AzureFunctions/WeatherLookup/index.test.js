@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+const https = require('https');
+const weatherLookup = require('./index');
+
+jest.mock('https');
+
+function mockOpenMeteo(statusCode, body) {
+    https.request.mockImplementation((options, callback) => {
+        const request = new EventEmitter();
+        request.end = () => {
+            const response = new EventEmitter();
+            response.statusCode = statusCode;
+            callback(response);
+            response.emit('data', JSON.stringify(body));
+            response.emit('end');
+        };
+        return request;
+    });
+}
+
+function hours(date, count, start) {
+    return Array.from({ length: count }, (_, index) => `${date}T${String(start + index).padStart(2, '0')}:00`);
+}
+
+describe('WeatherLookup Azure Function', () => {
+    let context;
+    const daily = {
+        time: ['2024-01-14', '2024-01-15'],
+        weathercode: [0, 96],
+        temperature_2m_max: [30, 28],
+        temperature_2m_min: [18, 17],
+        precipitation_sum: [0, 12.4],
+        windspeed_10m_max: [15, 55]
+    };
+    const hourlyTimes = hours('2024-01-15', 24, 0);
+    const hourly = {
+        time: hourlyTimes,
+        temperature_2m: hourlyTimes.map((_, hour) => (hour === 15 ? 18.4 : 25)),
+        relativehumidity_2m: hourlyTimes.map(() => 60),
+        precipitation: hourlyTimes.map((_, hour) => (hour === 15 ? 8.2 : 0)),
+        weathercode: hourlyTimes.map((_, hour) => (hour === 15 ? 96 : 2)),
+        windspeed_10m: hourlyTimes.map((_, hour) => (hour === 15 ? 40 : 10)),
+        windgusts_10m: hourlyTimes.map((_, hour) => (hour === 15 ? 80 : 20))
+    };
+    const request = body => weatherLookup(context, { body: { latitude: -33.87, longitude: 151.21, date: '2024-01-15', ...body } });
+    const query = () => new URLSearchParams(https.request.mock.calls[0][0].path.split('?')[1]);
+    const responseBody = () => JSON.parse(context.res.body);
+
+    beforeEach(() => {
+        context = { log: jest.fn(), res: null };
+        context.log.error = jest.fn();
+        https.request.mockReset();
+    });
+
+    test('returns daily conditions without requesting hourly data when no time is given', async () => {
+        mockOpenMeteo(200, { daily: { ...daily, time: ['2024-01-15'], weathercode: [96], temperature_2m_max: [28], temperature_2m_min: [17], precipitation_sum: [12.4], windspeed_10m_max: [55] } });
+
+        await request({});
+
+        expect(query().get('hourly')).toBeNull();
+        expect(query().get('start_date')).toBe('2024-01-15');
+        expect(responseBody()).toEqual({ success: true, conditions: expect.stringContaining('Thunderstorm with Slight Hail'), details: expect.objectContaining({ temperatureMaxC: 28 }) });
+    });
+
+    test('returns conditions for the incident hour and the surrounding window', async () => {
+        mockOpenMeteo(200, { timezone: 'Australia/Sydney', daily, hourly });
+
+        await request({ time: '15:40', windowHours: 2 });
+
+        expect(query().get('hourly')).toContain('windgusts_10m');
+        const body = responseBody();
+        expect(body.details.temperatureMaxC).toBe(28);
+        expect(body.incidentHour).toEqual({
+            time: '2024-01-15T15:00',
+            timezone: 'Australia/Sydney',
+            conditions: 'Thunderstorm with Slight Hail at 15:00, Temp: 65 degF (18 degC), Wind: 25 mph (gusts 50 mph), Precip: 0.32 in',
+            details: expect.objectContaining({ weatherCode: 96, precipitationMm: 8.2, windGustsKmh: 80, relativeHumidity: 60 })
+        });
+        expect(body.window.map(hour => hour.time)).toEqual(hours('2024-01-15', 5, 13));
+    });
+
+    test('widens the date range when the window crosses midnight', async () => {
+        mockOpenMeteo(200, { daily, hourly: { ...hourly, time: hours('2024-01-14', 2, 22).concat(hourly.time.slice(0, 22)) } });
+
+        await request({ time: '01:05' });
+
+        expect(query().get('start_date')).toBe('2024-01-14');
+        expect(query().get('end_date')).toBe('2024-01-15');
+        expect(responseBody().details.weatherCode).toBe(96);
+    });
+
+    test('returns a null incident hour when the hour is missing from the data', async () => {
+        mockOpenMeteo(200, { daily, hourly: { time: [] } });
+
+        await request({ time: '15:00' });
+
+        expect(responseBody()).toMatchObject({ success: true, incidentHour: null, window: [] });
+    });
+
+    test.each([
+        [{ time: '3pm' }, 'Time must be in HH:mm format'],
+        [{ time: '24:00' }, 'Time must be in HH:mm format'],
+        [{ time: '15:00', windowHours: 13 }, 'windowHours must be a whole number from 0 to 12']
+    ])('returns 400 for %p', async (body, error) => {
+        await request(body);
+
+        expect(context.res.status).toBe(400);
+        expect(responseBody().error).toBe(error);
+        expect(https.request).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,150 @@
+// Pre-geocode clean-up and quality check for free-text incident locations. Used by GeocodeLocation
+// (which geocodes the input as typed and returns the normalised text as a suggestion) and the
+// AddressQuality function behind the portal wizard, so "near the mall" or "hwy 1" can be flagged
+// before the claim is saved rather than after geocoding returns a VeryLow match. Scoring is
+// heuristic: it looks for the parts a geocoder needs (street number, street, locality or postcode)
+// and for things that are not a place at all (PO boxes).
+
+const STREET_TYPES = {
+    st: 'Street', str: 'Street', rd: 'Road', ave: 'Avenue', av: 'Avenue', hwy: 'Highway', fwy: 'Freeway',
+    mwy: 'Motorway', pde: 'Parade', cres: 'Crescent', cr: 'Crescent', ct: 'Court', pl: 'Place', dr: 'Drive',
+    ln: 'Lane', blvd: 'Boulevard', tce: 'Terrace', cl: 'Close', esp: 'Esplanade', cct: 'Circuit', gr: 'Grove',
+    sq: 'Square', hts: 'Heights', pkwy: 'Parkway', hwys: 'Highways'
+};
+const OTHER_ABBREVIATIONS = {
+    mt: 'Mount', nth: 'North', sth: 'South', apt: 'Apartment', lvl: 'Level', nr: 'near', opp: 'opposite', cnr: 'corner of'
+};
+const STREET_TYPE_WORDS = new Set(Object.values(STREET_TYPES).map(word => word.toLowerCase())
+    .concat(['way', 'walk', 'row', 'track', 'trail', 'loop', 'promenade']));
+const REGION_CODES = new Set([
+    'NSW', 'VIC', 'QLD', 'SA', 'WA', 'TAS', 'NT', 'ACT',
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA',
+    'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK',
+    'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WV', 'WI', 'WY', 'DC'
+]);
+const LOWERCASE_WORDS = new Set(['of', 'the', 'and', 'near', 'opposite', 'to', 'from', 'at', 'on']);
+
+const PO_BOX_PATTERN = /\b(p\s*\.?\s*o\s*\.?\s*box|post\s+office\s+box|gpo\s+box|locked\s+bag|private\s+bag)\b/i;
+const RELATIVE_PATTERN = /\b(near|nearby|opposite|outside|behind|beside|next to|in front of|across from|close to|around|somewhere)\b/i;
+const LANDMARK_PATTERN = /\b(mall|shopping (centre|center)|car ?park|parking (lot|garage)|(service|petrol|gas|train|bus|police) station|school|hospital|airport|beach|supermarket|stadium|church|bridge|roundabout|intersection|servo)\b/i;
+const STREET_NUMBER_PATTERN = /^\d+[a-z]?([/-]\d+[a-z]?)?$/i;
+const POSTCODE_PATTERN = /\b(\d{4,5}|[a-z]{1,2}\d[a-z\d]?\s*\d[a-z]{2})\b/i;
+
+// Issue penalties are out of 100; 80+ is Good, 50+ Fair, anything lower Poor
+const ISSUES = {
+    EMPTY: { severity: 'high', penalty: 100, message: 'No location was entered', suggestion: 'Enter the street address where the incident happened' },
+    PO_BOX: { severity: 'high', penalty: 60, message: 'PO boxes and mail bags are postal addresses, not incident locations', suggestion: 'Enter the street address or place where the incident happened' },
+    RELATIVE_LOCATION: { severity: 'high', penalty: 40, message: 'The location is described relative to something else', suggestion: 'Give the street address of the place you mentioned, or the nearest street address' },
+    LANDMARK_ONLY: { severity: 'medium', penalty: 25, message: 'The location names a landmark without a street address', suggestion: 'Add the street address of the landmark' },
+    NO_STREET_NUMBER: { severity: 'medium', penalty: 25, message: 'The street has no number', suggestion: 'Add the street number, or the nearest cross street or kilometre marker' },
+    NO_STREET: { severity: 'medium', penalty: 25, message: 'No street was given', suggestion: 'Add the street name and number' },
+    MISSING_LOCALITY: { severity: 'medium', penalty: 30, message: 'No suburb, town or postcode was given', suggestion: 'Add the suburb or town and the postcode' }
+};
+
+function titleCase(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+// A region code followed by a postcode ("Helena MT 59601"), or ending a part after the first
+// ("Hartford, CT"), is a state and never an abbreviation: "CT" is not Court there, nor "MT" Mount
+function isRegionPosition(words, index, partIndex) {
+    const next = words[index + 1];
+    if ((index === 0 && partIndex === 0) || !REGION_CODES.has(words[index].replace(/\.$/, '').toUpperCase())) return false;
+    return next ? /^\d{4,5}$/.test(next) : partIndex > 0;
+}
+
+// Other abbreviations are expanded; "St" is Saint when it starts a part or follows a street number
+// ("1 St Kilda Rd") and Street otherwise ("1 Main St"), and "Dr" in those places is a title
+// ("Dr Martin Luther King Jr Blvd") so it is left alone. Casing is only rewritten when the input is
+// all one case, so deliberate capitalisation ("McDonald St") is kept.
+function normalizeWords(words, recase, partIndex) {
+    return words.map((word, index) => {
+        const core = word.replace(/\.$/, '');
+        const key = core.toLowerCase();
+        const previous = words[index - 1];
+        const startsName = !previous || STREET_NUMBER_PATTERN.test(previous);
+
+        if (isRegionPosition(words, index, partIndex)) return recase ? core.toUpperCase() : word;
+        if (key === 'st' && startsName) return 'Saint';
+        if (key === 'dr' && startsName) return recase ? 'Dr' : word;
+        if (STREET_TYPES[key]) return STREET_TYPES[key];
+        if (OTHER_ABBREVIATIONS[key]) return OTHER_ABBREVIATIONS[key];
+        if (!recase) return word;
+
+        if (/\d/.test(core)) return core.toUpperCase();
+        if (index > 0 && LOWERCASE_WORDS.has(key)) return key;
+        return titleCase(core);
+    });
+}
+
+function normalizeLocation(text) {
+    const cleaned = String(text || '')
+        .replace(/[\u0000-\u001f]/g, ' ')
+        .replace(/\s*,[\s,]*/g, ', ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,]+|[\s,]+$/g, '');
+    const recase = cleaned === cleaned.toLowerCase() || cleaned === cleaned.toUpperCase();
+
+    return cleaned.split(', ')
+        .map((part, partIndex) => normalizeWords(part.split(' '), recase, partIndex).join(' '))
+        .join(', ')
+        .replace(PO_BOX_PATTERN, match => (/bag/i.test(match) ? match : 'PO Box'));
+}
+
+function describeParts(normalized) {
+    const parts = normalized.split(', ');
+    const words = parts.map(part => part.split(' '));
+    const streetWords = words[0];
+    const numberIndex = streetWords.findIndex(word => STREET_NUMBER_PATTERN.test(word));
+    const streetTypes = words.map(partWords => partWords.filter(word => STREET_TYPE_WORDS.has(word.toLowerCase())).length);
+
+    return {
+        // A number only counts as a street number when a name follows it: "Highway 1" has none
+        hasStreetNumber: numberIndex >= 0 && numberIndex < streetWords.length - 1,
+        hasStreet: streetTypes.some(count => count > 0),
+        // "Corner of George Street and King Street" pins a point without a number
+        isIntersection: /\bcorner of\b/i.test(normalized) || streetTypes[0] > 1,
+        hasLocality: parts.length > 1 || POSTCODE_PATTERN.test(normalized.replace(/^\d+\s/, '')) ||
+            words.some(partWords => partWords.some((word, index) => index > 0 && REGION_CODES.has(word)))
+    };
+}
+
+function assessAddress(text) {
+    const normalized = normalizeLocation(text);
+    const poBox = PO_BOX_PATTERN.test(normalized) || /\b(locked|private) bag\b/i.test(normalized);
+    const landmarkMatch = normalized.match(LANDMARK_PATTERN);
+    const landmark = landmarkMatch ? landmarkMatch[0].toLowerCase() : null;
+    const codes = [];
+
+    if (!normalized) {
+        codes.push('EMPTY');
+    } else {
+        const parts = describeParts(normalized);
+        if (poBox) codes.push('PO_BOX');
+        if (RELATIVE_PATTERN.test(normalized)) codes.push('RELATIVE_LOCATION');
+        if (landmark && !parts.hasStreetNumber) codes.push('LANDMARK_ONLY');
+        if (!poBox && parts.hasStreet && !parts.hasStreetNumber && !parts.isIntersection) codes.push('NO_STREET_NUMBER');
+        if (!poBox && !landmark && !parts.hasStreet && !parts.hasStreetNumber) codes.push('NO_STREET');
+        if (!parts.hasLocality) codes.push('MISSING_LOCALITY');
+    }
+
+    const score = Math.max(0, 100 - codes.reduce((total, code) => total + ISSUES[code].penalty, 0));
+    const level = score >= 80 ? 'Good' : score >= 50 ? 'Fair' : 'Poor';
+
+    return {
+        original: String(text || ''),
+        normalized,
+        score,
+        level,
+        warn: level !== 'Good',
+        poBox,
+        landmark,
+        issues: codes.map(code => ({ code, severity: ISSUES[code].severity, message: ISSUES[code].message })),
+        suggestions: codes.map(code => ISSUES[code].suggestion)
+    };
+}
+
+module.exports = {
+    normalizeLocation,
+    assessAddress
+};
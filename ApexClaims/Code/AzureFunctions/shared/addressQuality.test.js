@@ -0,0 +1,59 @@
+const { normalizeLocation, assessAddress } = require('./addressQuality');
+
+describe('address normalisation', () => {
+    test.each([
+        ['  123  main st.,, sydney nsw 2000 ', '123 Main Street, Sydney NSW 2000'],
+        ['1 st kilda rd melbourne vic 3004', '1 Saint Kilda Road Melbourne VIC 3004'],
+        ['10 DOWNING ST, LONDON SW1A 2AA', '10 Downing Street, London SW1A 2AA'],
+        ['1 McDonald St, Perth WA 6000', '1 McDonald Street, Perth WA 6000'],
+        ['p.o. box 5, hobart', 'PO Box 5, Hobart'],
+        ['cnr george st and king st', 'corner of George Street and King Street'],
+        ['hartford, ct 06103', 'Hartford, CT 06103'],
+        ['100 Main St, Hartford, CT 06103', '100 Main Street, Hartford, CT 06103'],
+        ['HELENA MT 59601', 'Helena MT 59601'],
+        ['12 Main St, Springfield, MT', '12 Main Street, Springfield, MT'],
+        ['12 smith ct, hartford', '12 Smith Court, Hartford'],
+        ['mt barker sa 5251', 'Mount Barker SA 5251'],
+        ['12 Dr Martin Luther King Jr Blvd, Atlanta, GA 30303', '12 Dr Martin Luther King Jr Boulevard, Atlanta, GA 30303']
+    ])('normalises %p', (input, expected) => {
+        expect(normalizeLocation(input)).toBe(expected);
+    });
+});
+
+describe('address quality', () => {
+    const codes = text => assessAddress(text).issues.map(issue => issue.code);
+
+    test('rates a complete street address as Good without suggestions', () => {
+        expect(assessAddress('123 Main St, Sydney NSW 2000')).toMatchObject({ score: 100, level: 'Good', warn: false, poBox: false, landmark: null, issues: [], suggestions: [] });
+    });
+
+    test('flags a landmark described relative to nothing in particular', () => {
+        const result = assessAddress('near the mall');
+
+        expect(result).toMatchObject({ level: 'Poor', warn: true, landmark: 'mall' });
+        expect(codes('near the mall')).toEqual(['RELATIVE_LOCATION', 'LANDMARK_ONLY', 'MISSING_LOCALITY']);
+        expect(result.suggestions).toContain('Add the street address of the landmark');
+    });
+
+    test('flags a highway without a number or locality', () => {
+        expect(assessAddress('hwy 1')).toMatchObject({ normalized: 'Highway 1', level: 'Poor' });
+        expect(codes('hwy 1')).toEqual(['NO_STREET_NUMBER', 'MISSING_LOCALITY']);
+    });
+
+    test('detects PO boxes and mail bags', () => {
+        expect(assessAddress('PO Box 123, Sydney NSW 2000')).toMatchObject({ poBox: true, level: 'Poor' });
+        expect(assessAddress('Locked Bag 7, Parramatta NSW 2150').poBox).toBe(true);
+    });
+
+    test('accepts intersections without a street number', () => {
+        expect(codes('Corner of George St & King St, Sydney NSW 2000')).toEqual([]);
+    });
+
+    test('rates a locality on its own as Fair', () => {
+        expect(assessAddress('Hobart TAS 7000')).toMatchObject({ level: 'Fair', issues: [expect.objectContaining({ code: 'NO_STREET' })] });
+    });
+
+    test('rates an empty location as Poor', () => {
+        expect(assessAddress('   ')).toMatchObject({ normalized: '', score: 0, level: 'Poor', issues: [expect.objectContaining({ code: 'EMPTY' })] });
+    });
+});
@@ -0,0 +1,16 @@
+// Latitude/longitude validation shared by WeatherLookup and GeocodeLocation's reverse route
+
+function validateCoordinates(latitude, longitude) {
+    if (latitude === undefined || latitude === null) return { valid: false, error: 'Latitude is required' };
+    if (longitude === undefined || longitude === null) return { valid: false, error: 'Longitude is required' };
+
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+
+    if (isNaN(lat) || lat < -90 || lat > 90) return { valid: false, error: 'Latitude must be between -90 and 90' };
+    if (isNaN(lon) || lon < -180 || lon > 180) return { valid: false, error: 'Longitude must be between -180 and 180' };
+
+    return { valid: true, latitude: lat, longitude: lon };
+}
+
+module.exports = { validateCoordinates };
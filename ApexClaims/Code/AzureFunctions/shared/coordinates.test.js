@@ -0,0 +1,16 @@
+const { validateCoordinates } = require('./coordinates');
+
+describe('shared coordinate validation', () => {
+    test('accepts numbers and numeric strings', () => {
+        expect(validateCoordinates(-33.87, '151.21')).toEqual({ valid: true, latitude: -33.87, longitude: 151.21 });
+    });
+
+    test.each([
+        [undefined, 151, 'Latitude is required'],
+        [-33, null, 'Longitude is required'],
+        [91, 0, 'Latitude must be between -90 and 90'],
+        [0, 'east', 'Longitude must be between -180 and 180']
+    ])('rejects %p, %p', (latitude, longitude, error) => {
+        expect(validateCoordinates(latitude, longitude)).toEqual({ valid: false, error });
+    });
+});
@@ -0,0 +1,22 @@
+const riskBands = require('./riskBands.json');
+
+// Score bands shared with the FraudRiskBar PCF control (utils/riskLevels.ts imports the same JSON),
+// so the label on the form and the API recommendation always agree for a given score.
+
+const RISK_BANDS = riskBands.bands;
+
+function getRiskBand(score) {
+    const rounded = Math.max(0, Math.min(100, Math.round(score)));
+    return RISK_BANDS.find(band => rounded >= band.minScore && rounded <= band.maxScore) || RISK_BANDS[RISK_BANDS.length - 1];
+}
+
+function getRecommendation(score) {
+    return getRiskBand(score).recommendation;
+}
+
+module.exports = {
+    RISK_BANDS_VERSION: riskBands.version,
+    RISK_BANDS,
+    getRiskBand,
+    getRecommendation
+};
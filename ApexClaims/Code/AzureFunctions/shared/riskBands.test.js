@@ -0,0 +1,30 @@
+const { RISK_BANDS, getRiskBand, getRecommendation } = require('./riskBands');
+
+describe('shared risk bands', () => {
+    test('bands cover 0-100 without gaps or overlaps', () => {
+        expect(RISK_BANDS[0].minScore).toBe(0);
+        expect(RISK_BANDS[RISK_BANDS.length - 1].maxScore).toBe(100);
+        for (let i = 1; i < RISK_BANDS.length; i++) {
+            expect(RISK_BANDS[i].minScore).toBe(RISK_BANDS[i - 1].maxScore + 1);
+        }
+    });
+
+    test.each([
+        [0, 'Low Risk', 'Proceed'],
+        [25, 'Low Risk', 'Proceed'],
+        [28, 'Medium Risk', 'Review'],
+        [50, 'Medium Risk', 'Review'],
+        [51, 'High Risk', 'Investigate'],
+        [76, 'Critical Risk', 'Investigate'],
+        [100, 'Critical Risk', 'Investigate']
+    ])('score %i is %s / %s', (score, label, recommendation) => {
+        expect(getRiskBand(score).label).toBe(label);
+        expect(getRecommendation(score)).toBe(recommendation);
+    });
+
+    test('out-of-range and fractional scores are clamped and rounded', () => {
+        expect(getRiskBand(-5).label).toBe('Low Risk');
+        expect(getRiskBand(150).label).toBe('Critical Risk');
+        expect(getRiskBand(25.6).label).toBe('Medium Risk');
+    });
+});
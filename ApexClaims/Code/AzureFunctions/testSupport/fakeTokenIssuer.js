@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// Test-only stand-in for the Entra ID token endpoint and the managed identity endpoint, used by the
+// GeocodeLocation credential tests. Point AZURE_AUTHORITY_HOST or IDENTITY_ENDPOINT at it; tokens
+// are random opaque strings that only this issuer knows about. Not deployed (see .funcignore).
+//
+//   POST /{tenant}/oauth2/v2.0/token   client_credentials grant, checks clientId/clientSecret
+//   GET  /msi/token                    managed identity, checks the X-IDENTITY-HEADER value
+
+const DEFAULT_LIFETIME_SECONDS = 3600;
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// options: { port, clientId, clientSecret, identityHeader, lifetimeSeconds }. Resolves to
+// { url, identityEndpoint, requests, issued, close() }; requests records every call for assertions.
+function startFakeTokenIssuer(options) {
+    const settings = {
+        clientId: 'fake-client-id',
+        clientSecret: 'fake-client-secret',
+        identityHeader: 'fake-identity-header',
+        lifetimeSeconds: DEFAULT_LIFETIME_SECONDS,
+        ...options
+    };
+    const requests = [];
+    const issued = new Set();
+
+    const issue = () => {
+        const token = 'fake-' + crypto.randomBytes(16).toString('hex');
+        issued.add(token);
+        return token;
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const body = await readBody(req);
+        requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+        if (req.method === 'POST' && /^\/[^/]+\/oauth2\/v2\.0\/token$/.test(url.pathname)) {
+            const form = new URLSearchParams(body);
+            if (form.get('grant_type') !== 'client_credentials') return sendJson(res, 400, { error: 'unsupported_grant_type' });
+            if (form.get('client_id') !== settings.clientId || form.get('client_secret') !== settings.clientSecret) {
+                return sendJson(res, 401, { error: 'invalid_client' });
+            }
+            return sendJson(res, 200, { token_type: 'Bearer', expires_in: settings.lifetimeSeconds, access_token: issue() });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/msi/token') {
+            if (req.headers['x-identity-header'] !== settings.identityHeader) return sendJson(res, 401, { error: 'invalid identity header' });
+            const expiresOn = Math.floor(Date.now() / 1000) + settings.lifetimeSeconds;
+            return sendJson(res, 200, { token_type: 'Bearer', expires_on: String(expiresOn), resource: url.searchParams.get('resource'), access_token: issue() });
+        }
+
+        return sendJson(res, 404, { error: 'not_found' });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(settings.port || 0, '127.0.0.1', () => {
+            const url = 'http://127.0.0.1:' + server.address().port;
+            resolve({
+                url,
+                identityEndpoint: url + '/msi/token',
+                requests,
+                issued,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startFakeTokenIssuer };
@@ -0,0 +1,11 @@
+// Copies the risk band definitions from the Functions app into the control, so the control builds
+// without the Functions folder. Run after changing AzureFunctions/shared/riskBands.json; the
+// "levels mirror the bands" test fails until the copy matches.
+const fs = require('fs');
+const path = require('path');
+
+const source = path.resolve(__dirname, '../../../../AzureFunctions/shared/riskBands.json');
+const target = path.resolve(__dirname, '../utils/riskBands.json');
+
+fs.copyFileSync(source, target);
+console.log(`Copied ${path.relative(process.cwd(), source)} to ${path.relative(process.cwd(), target)}`);
@@ -4,7 +4,13 @@ export interface RiskLevel {
     backgroundColor: string;
     minScore: number;
     maxScore: number;
+    recommendation: string;
 }
+/**
+ * Band definitions shared with the FraudDetection Azure Function so the label and the API
+ * recommendation agree. riskBands.json is a copy of AzureFunctions/shared/riskBands.json
+ * (npm run sync:risk-bands); the tests fail when the two differ
+ */
 export declare const RISK_LEVELS: RiskLevel[];
 export declare const COLOR_ZONES: {
     green: string;
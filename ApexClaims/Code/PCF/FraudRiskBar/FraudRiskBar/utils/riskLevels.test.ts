@@ -8,6 +8,12 @@ import {
     COLOR_ZONES,
     TICK_MARKS
 } from './riskLevels';
+import fs from 'fs';
+import path from 'path';
+import riskBands from './riskBands.json';
+
+// The Functions app owns the band definitions; the control builds from its own copy
+const FUNCTIONS_RISK_BANDS_PATH = path.resolve(__dirname, '../../../../AzureFunctions/shared/riskBands.json');
 
 describe('riskLevels utility functions', () => {
 
@@ -128,6 +134,26 @@ describe('riskLevels utility functions', () => {
         });
     });
 
+    describe('Shared band definition', () => {
+        test('each level carries the API recommendation', () => {
+            expect(getRiskLevel(10)?.recommendation).toBe('Proceed');
+            expect(getRiskLevel(28)?.recommendation).toBe('Review');
+            expect(getRiskLevel(60)?.recommendation).toBe('Investigate');
+            expect(getRiskLevel(90)?.recommendation).toBe('Investigate');
+        });
+
+        test('the bundled bands are an exact copy of the FraudDetection function\'s (npm run sync:risk-bands)', () => {
+            const functionsBands = JSON.parse(fs.readFileSync(FUNCTIONS_RISK_BANDS_PATH, 'utf8'));
+            expect(riskBands).toEqual(functionsBands);
+        });
+
+        test('levels mirror the bands used by the FraudDetection function', () => {
+            expect(RISK_LEVELS.map(level => [level.label, level.minScore, level.maxScore])).toEqual(
+                riskBands.bands.map(band => [band.label, band.minScore, band.maxScore])
+            );
+        });
+    });
+
     describe('Constants', () => {
         test('RISK_LEVELS has 4 levels', () => {
             expect(RISK_LEVELS).toHaveLength(4);
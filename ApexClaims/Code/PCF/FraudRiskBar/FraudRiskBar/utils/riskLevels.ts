@@ -1,50 +1,36 @@
+import riskBands from "./riskBands.json";
+
 export interface RiskLevel {
     label: string;
     primaryColor: string;
     backgroundColor: string;
     minScore: number;
     maxScore: number;
+    recommendation: string;
 }
 
-export const RISK_LEVELS: RiskLevel[] = [
-    {
-        label: "Low Risk",
-        primaryColor: "#22C55E",
-        backgroundColor: "#DCFCE7",
-        minScore: 0,
-        maxScore: 25
-    },
-    {
-        label: "Medium Risk",
-        primaryColor: "#EAB308",
-        backgroundColor: "#FEF9C3",
-        minScore: 26,
-        maxScore: 50
-    },
-    {
-        label: "High Risk",
-        primaryColor: "#F97316",
-        backgroundColor: "#FFEDD5",
-        minScore: 51,
-        maxScore: 75
-    },
-    {
-        label: "Critical Risk",
-        primaryColor: "#EF4444",
-        backgroundColor: "#FEE2E2",
-        minScore: 76,
-        maxScore: 100
-    }
-];
+/**
+ * Band definitions shared with the FraudDetection Azure Function so the label and the API
+ * recommendation agree. riskBands.json is a copy of AzureFunctions/shared/riskBands.json
+ * (npm run sync:risk-bands); the tests fail when the two differ
+ */
+export const RISK_LEVELS: RiskLevel[] = riskBands.bands.map(band => ({
+    label: band.label,
+    primaryColor: band.primaryColor,
+    backgroundColor: band.backgroundColor,
+    minScore: band.minScore,
+    maxScore: band.maxScore,
+    recommendation: band.recommendation
+}));
 
 export const COLOR_ZONES = {
-    green: "#22C55E",
-    yellow: "#EAB308",
-    orange: "#F97316",
-    red: "#EF4444"
+    green: RISK_LEVELS[0].primaryColor,
+    yellow: RISK_LEVELS[1].primaryColor,
+    orange: RISK_LEVELS[2].primaryColor,
+    red: RISK_LEVELS[3].primaryColor
 };
 
-export const TICK_MARKS = [0, 25, 50, 75, 100];
+export const TICK_MARKS = [RISK_LEVELS[0].minScore, ...RISK_LEVELS.map(level => level.maxScore)];
 
 /**
  * Clamps a score to the valid range of 0-100
@@ -79,22 +65,15 @@ export function getRiskLevel(score: number | null): RiskLevel | null {
  * Gets the fill color based on score position
  */
 export function getFillColor(score: number): string {
-    if (score <= 25) {
-        return COLOR_ZONES.green;
-    } else if (score <= 50) {
-        return COLOR_ZONES.yellow;
-    } else if (score <= 75) {
-        return COLOR_ZONES.orange;
-    } else {
-        return COLOR_ZONES.red;
-    }
+    const level = RISK_LEVELS.find(candidate => score <= candidate.maxScore) || RISK_LEVELS[RISK_LEVELS.length - 1];
+    return level.primaryColor;
 }
 
 /**
  * Checks if score is in critical range
  */
 export function isCritical(score: number | null): boolean {
-    return score !== null && score > 75;
+    return score !== null && score > RISK_LEVELS[RISK_LEVELS.length - 2].maxScore;
 }
 
 /**
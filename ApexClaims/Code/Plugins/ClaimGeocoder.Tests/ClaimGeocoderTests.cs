@@ -1,4 +1,8 @@
 using System;
+using System.Net;
+using System.Net.Sockets;
+using System.Text;
+using System.Threading.Tasks;
 using Microsoft.Xrm.Sdk;
 using Moq;
 using Xunit;
@@ -283,5 +287,117 @@ namespace ApexClaims.Plugins.Tests
             // Assert - should not reject due to wrong message
             _traceMock.Verify(t => t.Trace(It.Is<string>(msg => msg.Contains("Wrong message")), It.IsAny<object[]>()), Times.Never);
         }
+
+        [Fact]
+        public void Execute_VagueLocation_AddsAddressQualityNote()
+        {
+            // Arrange - trimmed GeocodeLocation response; extra fields such as issues and region are ignored
+            const string response = "{\"success\":true,\"latitude\":-33.87,\"longitude\":151.21,\"confidence\":\"Low\",\"region\":null," +
+                "\"addressQuality\":{\"original\":\"near the mall\",\"normalized\":\"Near the Mall\",\"score\":5,\"level\":\"Poor\",\"warn\":true," +
+                "\"issues\":[{\"code\":\"RELATIVE_LOCATION\",\"severity\":\"high\"}]," +
+                "\"suggestions\":[\"Give the street address of the place you mentioned\",\"Add the suburb or town and the postcode\"]}}";
+            var claimId = Guid.NewGuid();
+
+            using (var api = new StubGeocodeApi(response))
+            {
+                SetUpGeocodeRequest(claimId, "near the mall", api.Url);
+
+                // Act
+                new ClaimGeocoder().Execute(_serviceProviderMock.Object);
+            }
+
+            // Assert - the assessment lands on the claim's timeline and the coordinates are still written
+            _serviceMock.Verify(s => s.Create(It.Is<Entity>(e =>
+                e.LogicalName == "annotation" &&
+                e.GetAttributeValue<EntityReference>("objectid").Id == claimId &&
+                e.GetAttributeValue<EntityReference>("objectid").LogicalName == ClaimEntityName &&
+                e.GetAttributeValue<string>("notetext").Contains("Address quality Poor (5/100)") &&
+                e.GetAttributeValue<string>("notetext").Contains("- Add the suburb or town and the postcode") &&
+                e.GetAttributeValue<string>("notetext").Contains("Suggested form: Near the Mall")
+            )), Times.Once);
+            _serviceMock.Verify(s => s.Update(It.Is<Entity>(e => e.Id == claimId && (decimal)e["new_incidentlatitude"] == -33.87m)), Times.Once);
+        }
+
+        [Fact]
+        public void Execute_GoodLocation_AddsNoNote()
+        {
+            // Arrange
+            const string response = "{\"success\":true,\"latitude\":-33.87,\"longitude\":151.21,\"confidence\":\"High\"," +
+                "\"addressQuality\":{\"normalized\":\"123 Main Street, Sydney NSW 2000\",\"score\":100,\"level\":\"Good\",\"warn\":false,\"issues\":[],\"suggestions\":[]}}";
+            var claimId = Guid.NewGuid();
+
+            using (var api = new StubGeocodeApi(response))
+            {
+                SetUpGeocodeRequest(claimId, "123 Main St, Sydney NSW 2000", api.Url);
+
+                // Act
+                new ClaimGeocoder().Execute(_serviceProviderMock.Object);
+            }
+
+            // Assert
+            _serviceMock.Verify(s => s.Create(It.IsAny<Entity>()), Times.Never);
+            _serviceMock.Verify(s => s.Update(It.Is<Entity>(e => e.Id == claimId)), Times.Once);
+        }
+
+        private void SetUpGeocodeRequest(Guid claimId, string location, string apiUrl)
+        {
+            var target = new Entity(ClaimEntityName, claimId);
+            target[IncidentLocationField] = location;
+
+            _contextMock.Setup(c => c.PrimaryEntityName).Returns(ClaimEntityName);
+            _contextMock.Setup(c => c.MessageName).Returns("Create");
+            _contextMock.Setup(c => c.InputParameters).Returns(new ParameterCollection { { "Target", target } });
+            _contextMock.Setup(c => c.UserId).Returns(Guid.NewGuid());
+
+            // Both environment variables resolve to the stub URL; the stub ignores the function key
+            var variable = new Entity("environmentvariablevalue");
+            variable["value"] = apiUrl;
+            _serviceMock
+                .Setup(s => s.RetrieveMultiple(It.IsAny<Microsoft.Xrm.Sdk.Query.QueryBase>()))
+                .Returns(new EntityCollection(new[] { variable }));
+        }
+
+        // Local stand-in for the GeocodeLocation function that answers every request with the same JSON
+        private sealed class StubGeocodeApi : IDisposable
+        {
+            private readonly HttpListener _listener = new HttpListener();
+
+            public StubGeocodeApi(string responseJson)
+            {
+                var probe = new TcpListener(IPAddress.Loopback, 0);
+                probe.Start();
+                int port = ((IPEndPoint)probe.LocalEndpoint).Port;
+                probe.Stop();
+
+                Url = "http://localhost:" + port + "/api/geocodelocation/";
+                _listener.Prefixes.Add(Url);
+                _listener.Start();
+
+                Task.Run(() =>
+                {
+                    while (_listener.IsListening)
+                    {
+                        HttpListenerContext context;
+                        try { context = _listener.GetContext(); }
+                        catch (HttpListenerException) { return; }
+                        catch (ObjectDisposedException) { return; }
+
+                        byte[] body = Encoding.UTF8.GetBytes(responseJson);
+                        context.Response.ContentType = "application/json";
+                        context.Response.ContentLength64 = body.Length;
+                        context.Response.OutputStream.Write(body, 0, body.Length);
+                        context.Response.Close();
+                    }
+                });
+            }
+
+            public string Url { get; }
+
+            public void Dispose()
+            {
+                _listener.Stop();
+                _listener.Close();
+            }
+        }
     }
 }
@@ -22,6 +22,7 @@ namespace ApexClaims.Plugins
         private const string IncidentLatitudeField = "new_incidentlatitude";
         private const string IncidentLongitudeField = "new_incidentlongitude";
         private const string ClaimEntityName = "new_claim";
+        private const string AddressQualityNoteSubject = "Incident location may be too vague";
 
         public void Execute(IServiceProvider serviceProvider)
         {
@@ -72,6 +73,15 @@ namespace ApexClaims.Plugins
                     return;
                 }
 
+                // The claim is already saved by now, so a vague location cannot be refused here (the portal
+                // wizard warns before submit); a note puts the assessment on the claim's timeline instead
+                var quality = geocodeResult.AddressQuality;
+                if (quality != null && quality.Warn)
+                {
+                    trace.Trace("Vague incident location ({0}, score {1}): {2}", quality.Level, quality.Score, string.Join("; ", quality.Suggestions ?? new string[0]));
+                    AddAddressQualityNote(service, target.Id, location, quality, trace);
+                }
+
                 if (geocodeResult.Success && geocodeResult.Latitude.HasValue && geocodeResult.Longitude.HasValue)
                 {
                     UpdateCoordinates(service, target.Id, geocodeResult.Latitude.Value, geocodeResult.Longitude.Value, trace);
@@ -265,6 +275,31 @@ namespace ApexClaims.Plugins
             }
         }
 
+        private void AddAddressQualityNote(IOrganizationService service, Guid claimId, string location, AddressQualityResponse quality, ITracingService trace)
+        {
+            try
+            {
+                var lines = new System.Collections.Generic.List<string>
+                {
+                    string.Format("Address quality {0} ({1}/100) for \"{2}\".", quality.Level, quality.Score, location)
+                };
+                foreach (string suggestion in quality.Suggestions ?? new string[0])
+                    lines.Add("- " + suggestion);
+                if (!string.IsNullOrEmpty(quality.Normalized) && quality.Normalized != location.Trim())
+                    lines.Add("Suggested form: " + quality.Normalized);
+
+                var note = new Entity("annotation");
+                note["objectid"] = new EntityReference(ClaimEntityName, claimId);
+                note["subject"] = AddressQualityNoteSubject;
+                note["notetext"] = string.Join(Environment.NewLine, lines);
+                service.Create(note);
+            }
+            catch (Exception ex)
+            {
+                trace.Trace("Failed to add address quality note: {0}", ex.Message);
+            }
+        }
+
         private void ClearCoordinates(IOrganizationService service, Guid claimId, ITracingService trace)
         {
             try
@@ -308,5 +343,27 @@ namespace ApexClaims.Plugins
 
         [DataMember(Name = "error")]
         public string Error { get; set; }
+
+        [DataMember(Name = "addressQuality")]
+        public AddressQualityResponse AddressQuality { get; set; }
+    }
+
+    [DataContract]
+    internal class AddressQualityResponse
+    {
+        [DataMember(Name = "score")]
+        public int Score { get; set; }
+
+        [DataMember(Name = "level")]
+        public string Level { get; set; }
+
+        [DataMember(Name = "warn")]
+        public bool Warn { get; set; }
+
+        [DataMember(Name = "normalized")]
+        public string Normalized { get; set; }
+
+        [DataMember(Name = "suggestions")]
+        public string[] Suggestions { get; set; }
     }
 }
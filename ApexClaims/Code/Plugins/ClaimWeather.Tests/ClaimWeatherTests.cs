@@ -1,4 +1,10 @@
 using System;
+using System.Globalization;
+using System.IO;
+using System.Net;
+using System.Net.Sockets;
+using System.Text;
+using System.Threading.Tasks;
 using Microsoft.Xrm.Sdk;
 using Microsoft.Xrm.Sdk.Query;
 using Moq;
@@ -298,6 +304,57 @@ namespace ApexClaims.Plugins.Tests
             _traceMock.Verify(t => t.Trace(It.Is<string>(msg => msg.Contains("must be configured")), It.IsAny<object[]>()), Times.Once);
         }
 
+        [Fact]
+        public void Execute_NonInvariantCulture_SendsInvariantDateAndTime()
+        {
+            // Arrange - fi-FI formats "HH:mm" as 15.40, which WeatherLookup rejects
+            var claimId = Guid.NewGuid();
+            var target = new Entity(ClaimEntityName, claimId);
+            target[IncidentDateField] = new DateTime(2024, 6, 1, 15, 40, 0, DateTimeKind.Utc);
+
+            _contextMock.Setup(c => c.PrimaryEntityName).Returns(ClaimEntityName);
+            _contextMock.Setup(c => c.MessageName).Returns("Update");
+            _contextMock.Setup(c => c.InputParameters).Returns(new ParameterCollection { { "Target", target } });
+            _contextMock.Setup(c => c.UserId).Returns(Guid.NewGuid());
+
+            var retrievedClaim = new Entity(ClaimEntityName, claimId);
+            retrievedClaim[IncidentLatitudeField] = -33.8688m;
+            retrievedClaim[IncidentLongitudeField] = 151.2093m;
+            retrievedClaim[IncidentDateField] = target[IncidentDateField];
+            _serviceMock
+                .Setup(s => s.Retrieve(ClaimEntityName, claimId, It.IsAny<ColumnSet>()))
+                .Returns(retrievedClaim);
+
+            var originalCulture = CultureInfo.CurrentCulture;
+            string requestBody;
+            using (var api = new StubWeatherApi("{\"success\":true,\"conditions\":\"Clear\"}"))
+            {
+                var variable = new Entity("environmentvariablevalue");
+                variable["value"] = api.Url;
+                _serviceMock
+                    .Setup(s => s.RetrieveMultiple(It.IsAny<QueryBase>()))
+                    .Returns(new EntityCollection(new[] { variable }));
+
+                try
+                {
+                    CultureInfo.CurrentCulture = new CultureInfo("fi-FI");
+
+                    // Act
+                    new ClaimWeather().Execute(_serviceProviderMock.Object);
+                }
+                finally
+                {
+                    CultureInfo.CurrentCulture = originalCulture;
+                }
+                requestBody = api.LastRequestBody;
+            }
+
+            // Assert
+            Assert.Contains("\"date\":\"2024-06-01\"", requestBody);
+            Assert.Contains("\"time\":\"15:40\"", requestBody);
+            _serviceMock.Verify(s => s.Update(It.Is<Entity>(e => e.GetAttributeValue<string>(WeatherConditionsField) == "Clear")), Times.Once);
+        }
+
         [Theory]
         [InlineData("Create")]
         [InlineData("Update")]
@@ -327,5 +384,53 @@ namespace ApexClaims.Plugins.Tests
             // Assert - should not reject due to wrong message
             _traceMock.Verify(t => t.Trace(It.Is<string>(msg => msg.Contains("Wrong message")), It.IsAny<object[]>()), Times.Never);
         }
+
+        // Local stand-in for the WeatherLookup function: answers with fixed JSON and keeps the last request body
+        private sealed class StubWeatherApi : IDisposable
+        {
+            private readonly HttpListener _listener = new HttpListener();
+
+            public StubWeatherApi(string responseJson)
+            {
+                var probe = new TcpListener(IPAddress.Loopback, 0);
+                probe.Start();
+                int port = ((IPEndPoint)probe.LocalEndpoint).Port;
+                probe.Stop();
+
+                Url = "http://localhost:" + port + "/api/weatherlookup/";
+                _listener.Prefixes.Add(Url);
+                _listener.Start();
+
+                Task.Run(() =>
+                {
+                    while (_listener.IsListening)
+                    {
+                        HttpListenerContext context;
+                        try { context = _listener.GetContext(); }
+                        catch (HttpListenerException) { return; }
+                        catch (ObjectDisposedException) { return; }
+
+                        using (var reader = new StreamReader(context.Request.InputStream, Encoding.UTF8))
+                            LastRequestBody = reader.ReadToEnd();
+
+                        byte[] body = Encoding.UTF8.GetBytes(responseJson);
+                        context.Response.ContentType = "application/json";
+                        context.Response.ContentLength64 = body.Length;
+                        context.Response.OutputStream.Write(body, 0, body.Length);
+                        context.Response.Close();
+                    }
+                });
+            }
+
+            public string Url { get; }
+
+            public string LastRequestBody { get; private set; }
+
+            public void Dispose()
+            {
+                _listener.Stop();
+                _listener.Close();
+            }
+        }
     }
 }
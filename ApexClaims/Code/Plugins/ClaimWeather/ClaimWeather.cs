@@ -1,4 +1,5 @@
 using System;
+using System.Globalization;
 using System.IO;
 using System.Net;
 using System.Runtime.Serialization;
@@ -84,7 +85,8 @@ namespace ApexClaims.Plugins
                     return;
                 }
 
-                // Weather API uses UTC; late-evening local times may return previous day's data
+                // new_incidentdate is not a reliable UTC instant (see CallWeatherApi), so this is only a
+                // coarse check; an incident late today at the location can look like tomorrow in UTC
                 if (incidentDate.Value.Date > DateTime.UtcNow.Date)
                 {
                     trace.Trace("ClaimWeather: Incident date is in the future, skipping weather lookup");
@@ -104,11 +106,15 @@ namespace ApexClaims.Plugins
 
                 if (weatherResult != null && weatherResult.Success && !string.IsNullOrEmpty(weatherResult.Conditions))
                 {
+                    // Conditions at the incident hour when the API had hourly data, otherwise the daily summary
+                    string conditions = weatherResult.IncidentHour != null && !string.IsNullOrEmpty(weatherResult.IncidentHour.Conditions)
+                        ? weatherResult.IncidentHour.Conditions
+                        : weatherResult.Conditions;
                     string existingConditions = claim.GetAttributeValue<string>(WeatherConditionsField);
-                    if (existingConditions != weatherResult.Conditions)
+                    if (existingConditions != conditions)
                     {
                         Entity updateEntity = new Entity(ClaimEntityName, target.Id);
-                        updateEntity[WeatherConditionsField] = weatherResult.Conditions;
+                        updateEntity[WeatherConditionsField] = conditions;
                         service.Update(updateEntity);
                         trace.Trace("ClaimWeather: Weather conditions updated successfully");
                     }
@@ -222,7 +228,14 @@ namespace ApexClaims.Plugins
                     {
                         Latitude = latitude,
                         Longitude = longitude,
-                        Date = date.ToString("yyyy-MM-dd")
+                        // Invariant culture: "HH:mm" uses the culture's time separator, "15.40" under fi-FI
+                        Date = date.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture),
+                        // WeatherLookup expects the wall-clock time at the location. The portal writes the time
+                        // entered with a Z suffix, so for portal claims the stored hour is that local hour. Claims
+                        // created or edited in the model-driven form are stored as true UTC, and the hour sent
+                        // is then off by the location's UTC offset; the daily conditions are still for the
+                        // right day unless that offset crosses midnight.
+                        Time = date.TimeOfDay != TimeSpan.Zero ? date.ToString("HH:mm", CultureInfo.InvariantCulture) : null
                     };
                     byte[] bodyBytes = SerializeToJson(requestBody);
                     request.ContentLength = bodyBytes.Length;
@@ -323,6 +336,9 @@ namespace ApexClaims.Plugins
 
         [DataMember(Name = "date")]
         public string Date { get; set; }
+
+        [DataMember(Name = "time", EmitDefaultValue = false)]
+        public string Time { get; set; }
     }
 
     [DataContract]
@@ -336,6 +352,19 @@ namespace ApexClaims.Plugins
 
         [DataMember(Name = "error")]
         public string Error { get; set; }
+
+        [DataMember(Name = "incidentHour")]
+        public WeatherIncidentHour IncidentHour { get; set; }
+    }
+
+    [DataContract]
+    internal class WeatherIncidentHour
+    {
+        [DataMember(Name = "time")]
+        public string Time { get; set; }
+
+        [DataMember(Name = "conditions")]
+        public string Conditions { get; set; }
     }
 
     #endregion
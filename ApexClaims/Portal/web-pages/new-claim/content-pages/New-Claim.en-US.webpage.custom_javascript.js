@@ -11,7 +11,8 @@
         isDirty: false,
         photos: [],
         docs: [],
-        hasSignature: false
+        hasSignature: false,
+        addressQualityUrl: null
     };
 
     var elements = {};
@@ -42,6 +43,8 @@
         elements.incidentTime = document.getElementById('incident-time');
         elements.claimType = document.getElementById('claim-type');
         elements.incidentLocation = document.getElementById('incident-location');
+        elements.incidentLocationWarning = document.getElementById('incident-location-warning');
+        config.addressQualityUrl = elements.wizard.getAttribute('data-address-quality-url') || null;
         elements.description = document.getElementById('description');
         elements.estimatedAmount = document.getElementById('estimated-amount');
         elements.consentCheckbox = document.getElementById('consent-checkbox');
@@ -70,6 +73,11 @@
             });
         }
 
+        if (elements.incidentLocation) {
+            elements.incidentLocation.addEventListener('blur', checkLocationQuality);
+            elements.incidentLocation.addEventListener('input', hideLocationWarning);
+        }
+
         if (elements.description) {
             elements.description.addEventListener('input', function() {
                 document.getElementById('description-count').textContent = this.value.length;
@@ -301,6 +309,47 @@
         });
     }
 
+    // Advisory only: a vague location still lets the claimant continue, but they are told what to add
+    function checkLocationQuality() {
+        var location = elements.incidentLocation.value.trim();
+        if (!config.addressQualityUrl || !location) {
+            hideLocationWarning();
+            return;
+        }
+
+        fetch(config.addressQualityUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ address: location })
+        })
+        .then(function(response) {
+            if (!response.ok) throw new Error('Address check failed');
+            return response.json();
+        })
+        .then(function(result) {
+            if (elements.incidentLocation.value.trim() !== location) return;
+            if (!result.warn) {
+                hideLocationWarning();
+                return;
+            }
+            var html = '<strong>' + escapeHtml(result.issues[0].message) + '</strong><ul>' +
+                result.suggestions.map(function(suggestion) { return '<li>' + escapeHtml(suggestion) + '</li>'; }).join('') +
+                '</ul>';
+            elements.incidentLocationWarning.innerHTML = html;
+            elements.incidentLocationWarning.classList.add('show');
+        })
+        .catch(function(error) {
+            console.error('Address quality check error:', error);
+            hideLocationWarning();
+        });
+    }
+
+    function hideLocationWarning() {
+        if (!elements.incidentLocationWarning) return;
+        elements.incidentLocationWarning.innerHTML = '';
+        elements.incidentLocationWarning.classList.remove('show');
+    }
+
     function displayPolicyCard(policy) {
         var coverageTypes = { 100000000: 'Auto', 100000001: 'Home', 100000002: 'Commercial' };
 